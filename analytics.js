@@ -15,6 +15,7 @@ function loadAnalytics() {
       totalRequests: 0,
       successfulRequests: 0,
       failedRequests: 0,
+      cancelledRequests: 0,
       totalResponseTime: 0,
       averageResponseTime: 0,
       byProvider: {},
@@ -29,6 +30,8 @@ function loadAnalytics() {
     updateProviderStats(usageData);
     updateModelStats(usageData);
     updateContentTypeStats(usageData);
+    updateCostStats(usageData);
+    updateRetryStats(usageData);
     updateRecentActivity(usageData.history);
   });
 }
@@ -37,8 +40,10 @@ function loadAnalytics() {
 function updateOverview(data, conversations) {
   document.getElementById('total-requests').textContent = data.totalRequests || 0;
   
-  const successRate = data.totalRequests > 0 
-    ? Math.round((data.successfulRequests / data.totalRequests) * 100)
+  // Cancelled requests are neither successes nor failures
+  const completedRequests = (data.totalRequests || 0) - (data.cancelledRequests || 0);
+  const successRate = completedRequests > 0 
+    ? Math.round((data.successfulRequests / completedRequests) * 100)
     : 0;
   document.getElementById('success-rate').textContent = `${successRate}%`;
   
@@ -46,23 +51,38 @@ function updateOverview(data, conversations) {
   document.getElementById('avg-response-time').textContent = `${Math.round(avgTime)}ms`;
   
   document.getElementById('total-conversations').textContent = conversations.length || 0;
+  
+  const totalTokens = (data.totalInputTokens || 0) + (data.totalOutputTokens || 0);
+  document.getElementById('total-cost').textContent = formatCost(data.totalCost || 0);
+  document.getElementById('total-tokens').textContent = `${totalTokens.toLocaleString()} tokens`;
+  
+  // Hit rate among requests that were eligible for the cache
+  const cacheHits = data.cacheHits || 0;
+  const cacheLookups = cacheHits + (data.cacheMisses || 0);
+  const hitRate = cacheLookups > 0 ? Math.round((cacheHits / cacheLookups) * 100) : 0;
+  document.getElementById('cache-hit-rate').textContent = `${hitRate}%`;
+  document.getElementById('cache-hits').textContent = `Cache hits: ${cacheHits}`;
 }
 
 // Update provider stats
 function updateProviderStats(data) {
   const openaiCount = data.byProvider?.openai || 0;
   const claudeCount = data.byProvider?.claude || 0;
-  const total = openaiCount + claudeCount;
+  const customCount = data.byProvider?.['openai-compatible'] || 0;
+  const total = openaiCount + claudeCount + customCount;
   
   document.getElementById('openai-count').textContent = openaiCount;
   document.getElementById('claude-count').textContent = claudeCount;
+  document.getElementById('custom-count').textContent = customCount;
   
   if (total > 0) {
     document.getElementById('openai-percentage').textContent = `${Math.round((openaiCount / total) * 100)}%`;
     document.getElementById('claude-percentage').textContent = `${Math.round((claudeCount / total) * 100)}%`;
+    document.getElementById('custom-percentage').textContent = `${Math.round((customCount / total) * 100)}%`;
   } else {
     document.getElementById('openai-percentage').textContent = '0%';
     document.getElementById('claude-percentage').textContent = '0%';
+    document.getElementById('custom-percentage').textContent = '0%';
   }
 }
 
@@ -113,7 +133,7 @@ function updateContentTypeStats(data) {
     .sort((a, b) => b[1] - a[1])
     .map(([type, count]) => {
       const percentage = Math.round((count / total) * 100);
-      const typeLabel = type.charAt(0).toUpperCase() + type.slice(1);
+      const typeLabel = formatContentType(type);
       return `
         <div class="content-type-item">
           <div class="content-type-header">
@@ -129,6 +149,93 @@ function updateContentTypeStats(data) {
     }).join('');
 }
 
+// Update cost panels
+function updateCostStats(data) {
+  // Last 14 days, oldest first, including days without spend
+  const costByDay = data.costByDay || {};
+  const days = [];
+  for (let i = 13; i >= 0; i--) {
+    const date = new Date();
+    date.setDate(date.getDate() - i);
+    const key = getDayKey(date);
+    days.push([key, costByDay[key] || 0]);
+  }
+  const hasDailyCost = days.some(([, cost]) => cost > 0);
+  renderCostBars('cost-by-day', hasDailyCost ? days : [], formatDayLabel, false);
+  
+  renderCostBars('cost-by-model', Object.entries(data.costByModel || {}), formatModelName);
+  renderCostBars('cost-by-content-type', Object.entries(data.costByContentType || {}), formatContentType);
+}
+
+// Render [label, cost] pairs as bars scaled to the largest cost
+function renderCostBars(containerId, entries, formatLabel, sortByCost = true) {
+  const container = document.getElementById(containerId);
+  
+  if (entries.length === 0) {
+    container.innerHTML = '<div class="empty-state">No cost data</div>';
+    return;
+  }
+  
+  const sorted = sortByCost ? [...entries].sort((a, b) => b[1] - a[1]) : entries;
+  const max = Math.max(...sorted.map(([, cost]) => cost)) || 1;
+  
+  container.innerHTML = sorted.map(([key, cost]) => {
+    const percentage = Math.round((cost / max) * 100);
+    return `
+      <div class="model-stat-item">
+        <div class="model-stat-header">
+          <span class="model-name">${formatLabel(key)}</span>
+          <span class="model-count">${formatCost(cost)}</span>
+        </div>
+        <div class="model-stat-bar">
+          <div class="model-stat-fill" style="width: ${percentage}%"></div>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+// Format a USD amount; small amounts keep more precision
+function formatCost(cost) {
+  if (cost > 0 && cost < 0.01) {
+    return `$${cost.toFixed(4)}`;
+  }
+  return `$${cost.toFixed(2)}`;
+}
+
+// Local calendar day (YYYY-MM-DD), matching the keys background.js writes
+function getDayKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// "2026-10-19" → "Oct 19"
+function formatDayLabel(key) {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+// Update retry stats (breakdown comes from the recent history window)
+function updateRetryStats(data) {
+  const retryAttempts = data.retryAttempts || 0;
+  const totalRequests = data.totalRequests || 0;
+  const retries = (data.history || []).filter(item => item.retry);
+  
+  const perHundred = totalRequests > 0 ? Math.round((retryAttempts / totalRequests) * 100) : 0;
+  document.getElementById('retry-count').textContent = retryAttempts;
+  document.getElementById('retry-rate').textContent = `${perHundred} per 100 requests`;
+  
+  document.getElementById('retry-rate-limited').textContent =
+    retries.filter(item => item.status === 429).length;
+  document.getElementById('retry-server').textContent =
+    retries.filter(item => item.status >= 500).length;
+  document.getElementById('retry-network').textContent =
+    retries.filter(item => !item.status).length;
+  
+  document.getElementById('fallback-count').textContent = data.fallbackAttempts || 0;
+}
+
 // Update recent activity
 function updateRecentActivity(history) {
   const activityList = document.getElementById('activity-list');
@@ -147,18 +254,27 @@ function updateRecentActivity(history) {
     const provider = item.provider || 'unknown';
     const model = item.model || 'unknown';
     const success = item.success !== false;
+    const status = item.retry ? 'retry' : item.fallback ? 'fallback' : item.cancelled ? 'cancelled' : success ? 'success' : 'error';
+    const statusIcon = { success: '✅', error: '❌', cancelled: '⏹️', retry: '🔁', fallback: '↪️' }[status];
     
     return `
-      <div class="activity-item ${success ? 'success' : 'error'}">
+      <div class="activity-item ${status}">
         <div class="activity-header">
           <span class="activity-time">${timeAgo}</span>
-          <span class="activity-status">${success ? '✅' : '❌'}</span>
+          <span class="activity-status">${statusIcon}</span>
         </div>
         <div class="activity-details">
           <span class="activity-provider">${provider}</span>
           <span class="activity-separator">•</span>
           <span class="activity-model">${formatModelName(model)}</span>
           ${item.responseTime ? `<span class="activity-separator">•</span><span class="activity-time">${Math.round(item.responseTime)}ms</span>` : ''}
+          ${item.cost ? `<span class="activity-separator">•</span><span class="activity-time">${formatCost(item.cost)}</span>` : ''}
+          ${item.secondOpinion ? `<span class="activity-separator">•</span><span class="activity-time">second opinion${item.secondOpinion === 'error' ? '' : `: ${item.secondOpinion}`}</span>` : ''}
+          ${item.samples ? `<span class="activity-separator">•</span><span class="activity-time">${item.samples} samples</span>` : ''}
+          ${item.retry ? `<span class="activity-separator">•</span><span class="activity-time">attempt ${item.attempt}/${item.maxAttempts} after ${(item.delayMs / 1000).toFixed(1)}s</span>` : ''}
+          ${item.fallback ? `<span class="activity-separator">•</span><span class="activity-time">${item.errorClass}, handed to ${formatModelName(item.fallbackTo)}</span>` : ''}
+          ${item.fallbackFrom ? `<span class="activity-separator">•</span><span class="activity-time">fallback from ${formatModelName(item.fallbackFrom)}</span>` : ''}
+          ${item.cache === 'hit' ? '<span class="activity-separator">•</span><span class="activity-time">cached</span>' : ''}
         </div>
         ${item.error ? `<div class="activity-error">${item.error}</div>` : ''}
       </div>
@@ -180,6 +296,19 @@ function formatModelName(model) {
   return modelMap[model] || model;
 }
 
+// Format content type (category IDs from background.js)
+function formatContentType(type) {
+  const typeMap = {
+    'multiple-choice': 'Multiple Choice',
+    'sql': 'SQL',
+    'regex': 'Regex',
+    'fill-blank': 'Fill in the Blank',
+    'summary': 'Long Text'
+  };
+  
+  return typeMap[type] || type.charAt(0).toUpperCase() + type.slice(1);
+}
+
 // Get time ago
 function getTimeAgo(timestamp) {
   const now = Date.now();
@@ -1,46 +1,201 @@
 // Chrome Problem Solver - Background Service Worker
 // Handles AI API calls, decision tree logic, and prompt engineering
 
+// Local checking of math answers (verifyMathAnswer)
+importScripts('verifier.js');
+
 // Default settings
 const DEFAULT_SETTINGS = {
   provider: 'openai',
   model: 'gpt-4.1-mini',
   openaiKey: '',
   claudeKey: '',
+  customBaseUrl: '',
+  customModel: '',
+  customKey: '',
+  // Ordered { provider, model } list tried when the primary fails
+  fallbackChain: [],
+  // Error classes that trigger a fallback (see classifyProviderError)
+  fallbackOn: ['auth', 'quota', 'outage'],
+  // Spending limits in USD (0 = no limit); warn at softPercent of a limit
+  budgets: {
+    softPercent: 80,
+    global: { daily: 0, monthly: 0 },
+    providers: {}
+  },
+  // Reuse answers to repeated first questions (see getCacheKey)
+  cache: {
+    enabled: true,
+    ttlHours: 24,
+    maxEntries: 200
+  },
+  // Ask for steps + final answer as JSON in structured categories
+  structuredAnswers: true,
+  // Answer math by majority vote over several samples (see sampleAnswers)
+  selfConsistency: {
+    enabled: false,
+    samples: 5,
+    temperature: 0.7
+  },
+  // Check answers with another provider's model (see handleSecondOpinion);
+  // asked automatically for first answers in these categories when auto is on
+  secondOpinion: {
+    auto: false,
+    categories: ['math', 'physics', 'chemistry', 'multiple-choice']
+  },
+  // Language answers are written in ('' = the browser's language)
+  responseLanguage: '',
+  // Outline the option a multiple-choice answer picked on the page
+  highlightChoices: true,
+  // Context-menu quick actions (see getQuickActions)
+  quickActions: [
+    {
+      id: 'explain',
+      name: "Explain like I'm new to this",
+      prompt: "Explain this to someone who is new to the topic. Avoid jargon, define any terms you need, and use a short example:\n\n{{text}}",
+      model: null,
+      contexts: ['selection', 'image'],
+      command: ''
+    },
+    {
+      id: 'translate-spanish',
+      name: 'Translate to Spanish',
+      prompt: 'Translate this into Spanish, keeping its meaning and tone. Reply with the translation only:\n\n{{text}}',
+      model: null,
+      contexts: ['selection'],
+      command: ''
+    },
+    {
+      id: 'find-bug',
+      name: 'Find the bug',
+      prompt: 'Find the bug in this code. Point to the line, explain why it is wrong, and show the fix:\n\n{{text}}',
+      model: null,
+      contexts: ['selection'],
+      command: ''
+    },
+    {
+      id: 'unit-tests',
+      name: 'Write unit tests',
+      prompt: "Write unit tests for this code with the language's most common test framework. Cover normal cases, edge cases and errors:\n\n{{text}}",
+      model: null,
+      contexts: ['selection'],
+      command: ''
+    }
+  ],
   temperature: 0.2
 };
 
 // OpenAI Models
+// contextBudget is how many tokens of earlier conversation we send with a
+// follow-up; well below the real context window to keep long threads cheap.
 const OPENAI_MODELS = {
-  'gpt-4.1-nano': { name: 'GPT-4.1 Nano', vision: true },
-  'gpt-4.1-mini': { name: 'GPT-4.1 Mini', vision: true },
-  'gpt-4.1': { name: 'GPT-4.1', vision: true }
+  'gpt-4.1-nano': { name: 'GPT-4.1 Nano', vision: true, contextBudget: 8000 },
+  'gpt-4.1-mini': { name: 'GPT-4.1 Mini', vision: true, contextBudget: 16000 },
+  'gpt-4.1': { name: 'GPT-4.1', vision: true, contextBudget: 32000 }
 };
 
 // Claude Models
 const CLAUDE_MODELS = {
-  'claude-haiku-4-5-20251001': { name: 'Claude Haiku 4.5', vision: true },
-  'claude-sonnet-4-6': { name: 'Claude Sonnet 4.6', vision: true },
-  'claude-opus-4-8': { name: 'Claude Opus 4.8', vision: true }
+  'claude-haiku-4-5-20251001': { name: 'Claude Haiku 4.5', vision: true, contextBudget: 16000 },
+  'claude-sonnet-4-6': { name: 'Claude Sonnet 4.6', vision: true, contextBudget: 32000 },
+  'claude-opus-4-8': { name: 'Claude Opus 4.8', vision: true, contextBudget: 32000 }
+};
+
+// Context budget for models we don't know (self-hosted models often run
+// with small context windows)
+const DEFAULT_CONTEXT_BUDGET = 3000;
+
+// Default prices in USD per 1M tokens; overridden by settings.modelPrices
+const DEFAULT_MODEL_PRICES = {
+  'gpt-4.1-nano': { input: 0.10, output: 0.40 },
+  'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'gpt-4.1': { input: 2.00, output: 8.00 },
+  'claude-haiku-4-5-20251001': { input: 1.00, output: 5.00 },
+  'claude-sonnet-4-6': { input: 3.00, output: 15.00 },
+  'claude-opus-4-8': { input: 5.00, output: 25.00 }
 };
 
-// Initialize context menu
+// Context menu IDs of quick actions are this prefix plus the action ID
+const QUICK_ACTION_MENU_PREFIX = 'cps-action:';
+
+// Commands (manifest.json) that quick actions can be bound to
+const QUICK_ACTION_COMMANDS = ['quick-action-1', 'quick-action-2', 'quick-action-3', 'quick-action-4'];
+
+// Initialize context menu; quick actions go in a submenu. Install, startup
+// and settings changes can all ask for a rebuild at once, and overlapping
+// removeAll/create calls would create duplicate IDs, so rebuilds are chained
+// one after another.
+let contextMenuUpdate = Promise.resolve();
+
 function initializeContextMenu() {
-  chrome.contextMenus.removeAll(() => {
-    chrome.contextMenus.create({
-      id: 'cps-analyze-selection',
-      title: 'Analyze with Chrome Problem Solver',
-      contexts: ['selection', 'image', 'page']
+  contextMenuUpdate = contextMenuUpdate.then(buildContextMenu).catch((error) => {
+    console.error('Context menu error:', error.message);
+  });
+  return contextMenuUpdate;
+}
+
+async function buildContextMenu() {
+  const settings = await getSettings();
+  const actions = getQuickActions(settings).filter(action => action.contexts.length > 0);
+  
+  await new Promise((resolve) => chrome.contextMenus.removeAll(() => {
+    if (chrome.runtime.lastError) {
+      console.error('Context menu error:', chrome.runtime.lastError.message);
+    }
+    resolve();
+  }));
+  
+  const create = (properties) => new Promise((resolve) => {
+    chrome.contextMenus.create(properties, () => {
+      if (chrome.runtime.lastError) {
+        console.error(`Context menu error (${properties.id}):`, chrome.runtime.lastError.message);
+      }
+      resolve();
+    });
+  });
+  
+  await create({
+    id: 'cps-analyze-selection',
+    title: 'Analyze with Chrome Problem Solver',
+    contexts: ['selection', 'image', 'page']
+  });
+  if (actions.length > 0) {
+    await create({
+      id: 'cps-quick-actions',
+      title: 'Quick actions',
+      contexts: [...new Set(actions.flatMap(action => action.contexts))]
     });
+    for (const action of actions) {
+      await create({
+        id: QUICK_ACTION_MENU_PREFIX + action.id,
+        parentId: 'cps-quick-actions',
+        title: action.name,
+        contexts: action.contexts
+      });
+    }
+  }
+  await create({
+    id: 'cps-snip-region',
+    title: 'Snip a region to analyze',
+    contexts: ['page', 'image', 'video', 'frame']
   });
 }
 
+// What the menu shows of the quick actions in some settings, to tell
+// whether a settings change needs a rebuild
+function getQuickActionMenuKey(settings) {
+  return JSON.stringify(getQuickActions(settings || {}).map(({ id, name, contexts }) => [id, name, contexts]));
+}
+
 // Initialize extension
 chrome.runtime.onInstalled.addListener(() => {
   // Ensure default settings exist
   chrome.storage.sync.get(['settings'], (result) => {
     if (!result.settings) {
       chrome.storage.sync.set({ settings: DEFAULT_SETTINGS });
+    } else if (!result.settings.quickActions) {
+      // Settings from before quick actions existed get the starter set
+      chrome.storage.sync.set({ settings: { ...result.settings, quickActions: DEFAULT_SETTINGS.quickActions } });
     }
   });
 
@@ -56,232 +211,896 @@ chrome.runtime.onStartup.addListener(() => {
 // Create context menu when service worker starts
 initializeContextMenu();
 
+// Quick actions are part of settings; keep the menu in step with them
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && changes.settings &&
+    getQuickActionMenuKey(changes.settings.oldValue) !== getQuickActionMenuKey(changes.settings.newValue)) {
+    initializeContextMenu();
+  }
+});
+
 // Listen for messages from content script
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'analyze') {
     handleAnalysis(request.data, sendResponse);
     return true; // Keep channel open for async response
   }
-  if (request.action === 'analyzeStream') {
-    handleAnalysisStream(request.data, sender.tab.id);
-    return false; // No sendResponse used; let channel close
+  if (request.action === 'secondOpinion') {
+    handleSecondOpinion(request.data, sendResponse);
+    return true;
   }
   if (request.action === 'trackUsage') {
     trackUsage(request.data);
   }
+  if (request.action === 'captureRegion') {
+    captureRegion(sender.tab, request.rect, request.devicePixelRatio).then(
+      (imageData) => sendResponse({ success: true, imageData }),
+      (error) => sendResponse({ success: false, error: error.message })
+    );
+    return true;
+  }
+  if (request.action === 'fetchImage') {
+    // Only for images selected in a page, as sent by the content script
+    if (!sender.tab) {
+      sendResponse({ success: false, error: 'Images can only be downloaded for a page' });
+      return;
+    }
+    fetchImageAsDataUrl(request.url).then(
+      (imageData) => sendResponse({ success: true, imageData }),
+      (error) => sendResponse({ success: false, error: error.message, origin: error.origin })
+    );
+    return true;
+  }
+  if (request.action === 'requestImageAccess') {
+    // Permission prompts need a user gesture on an extension page, so the
+    // request is finished on the options page
+    chrome.tabs.create({ url: chrome.runtime.getURL(`options.html#image-access=${encodeURIComponent(request.origin)}`) });
+    return;
+  }
+  if (request.action === 'loadRenderers') {
+    loadRenderers(sender).then(
+      () => sendResponse({ success: true }),
+      (error) => sendResponse({ success: false, error: error.message })
+    );
+    return true;
+  }
+  if (request.action === 'getPromptDefaults') {
+    sendResponse({ categories: getPromptDefaults() });
+    return;
+  }
+  if (request.action === 'clearCache') {
+    clearResponseCache().then(
+      () => sendResponse({ success: true }),
+      (error) => sendResponse({ success: false, error: error.message })
+    );
+    return true;
+  }
 });
 
-// Decision Tree: Analyze content type and determine response format
-function analyzeContentType(text) {
-  const wordCount = text.trim().split(/\s+/).length;
-  const trimmed = text.trim();
-  
-  // Math problem detection
-  const mathPatterns = [
-    /^[\d+\-*/().\s=<>≤≥]+$/,
-    /solve|calculate|evaluate|compute|find|derivative|integral|limit/i,
-    /\d+\s*[+\-*/]\s*\d+/,
-    /x\s*[=+\-*/]|y\s*[=+\-*/]/
-  ];
-  const isMath = mathPatterns.some(pattern => pattern.test(text));
+// Streaming analyses: one port per analysis, so chunks only ever reach the
+// request (tab and frame) that started them. Disconnecting the port stops it.
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'cps-analysis') return;
   
-  // Code detection
-  const codePatterns = [
-    /function\s+\w+|def\s+\w+|class\s+\w+|import\s+|const\s+\w+|let\s+\w+|var\s+\w+/,
-    /[{}();]|=>|->|::/
-  ];
-  const isCode = codePatterns.some(pattern => pattern.test(text));
+  const controller = new AbortController();
+  port.onDisconnect.addListener(() => {
+    controller.abort();
+  });
   
-  // Question detection
-  const isQuestion = trimmed.endsWith('?') || /^(what|how|why|when|where|who|which|can|could|should|would|is|are|do|does|did)/i.test(trimmed);
+  port.onMessage.addListener((message) => {
+    if (message.action === 'analyzeStream') {
+      // Answers render with KaTeX and highlight.js, so have them in the page
+      // before the first chunk; without them the overlay shows plain text
+      loadRenderers(port.sender).catch(() => {}).then(() => {
+        handleAnalysisStream(message.data, port, controller.signal);
+      });
+    } else if (message.action === 'cancel') {
+      controller.abort();
+    }
+  });
+});
+
+// KaTeX and highlight.js (and KaTeX's stylesheet) are only injected into a
+// frame once the overlay opens there, not into every page. Injecting needs
+// access to the tab: activeTab from the menu, shortcut or popup that opened
+// the overlay, or a host the user granted.
+const RENDERER_FILES = {
+  css: ['vendor/katex/katex.min.css'],
+  js: ['vendor/katex/katex.min.js', 'vendor/highlight/highlight.min.js']
+};
+
+// In-flight injections by "tabId:frameId", so the overlay opening and its
+// first analysis don't inject twice
+const rendererLoads = new Map();
+
+function loadRenderers({ tab, frameId = 0 } = {}) {
+  if (!tab) {
+    return Promise.reject(new Error('Not a tab'));
+  }
+  const key = `${tab.id}:${frameId}`;
+  if (!rendererLoads.has(key)) {
+    const target = { tabId: tab.id, frameIds: [frameId] };
+    const load = chrome.scripting.executeScript({ target, func: () => typeof katex !== 'undefined' })
+      .then(async ([injection]) => {
+        if (injection?.result) return;
+        await chrome.scripting.insertCSS({ target, files: RENDERER_FILES.css });
+        await chrome.scripting.executeScript({ target, files: RENDERER_FILES.js });
+      })
+      .finally(() => rendererLoads.delete(key));
+    rendererLoads.set(key, load);
+  }
+  return rendererLoads.get(key);
+}
+
+// Post to an analysis port, ignoring ports the page has already closed
+function postToPort(port, message) {
+  try {
+    port.postMessage(message);
+  } catch (e) {
+    // Port disconnected (tab closed, navigated or analysis stopped)
+  }
+}
+
+// Content categories, in tie-break order (most specific first). Each has a
+// label for the overlay, a sampling temperature and default system and user
+// prompt templates; both templates can be overridden from the options page
+// (see getPromptTemplates) and are filled with the variables from
+// getPromptVariables. Structured categories are answered as steps plus a
+// final answer (see ANSWER_SCHEMA).
+const CONTENT_CATEGORIES = {
+  'multiple-choice': {
+    label: 'Multiple choice',
+    temperature: 0,
+    structured: true,
+    system: 'You are answering a multiple-choice question. Briefly consider each option, eliminate the wrong ones, and justify the correct one. End with a line in exactly this form: "Final Answer: <option letter or number>) <option text>". ',
+    user: 'Answer this multiple-choice question:\n\n{{text}}'
+  },
+  'sql': {
+    label: 'SQL',
+    temperature: 0,
+    system: 'You are analyzing SQL. Identify the dialect if possible, explain what the query does clause by clause, point out errors or performance problems, and suggest a corrected or improved query when useful. Do NOT include a Final Answer field. ',
+    user: 'Analyze this SQL:\n\n{{text}}'
+  },
+  'regex': {
+    label: 'Regex',
+    temperature: 0,
+    system: 'You are working with a regular expression. Explain each part of the pattern, give examples of strings it does and does not match, and point out edge cases or bugs. If asked for a pattern, write one and explain it. Do NOT include a Final Answer field. ',
+    user: 'Explain or write this regular expression:\n\n{{text}}'
+  },
+  'chemistry': {
+    label: 'Chemistry',
+    temperature: 0,
+    structured: true,
+    system: 'You are solving a chemistry problem. Write and balance any chemical equations, use correct formulas (with states where relevant), work through the stoichiometry step-by-step with units, and provide a Final Answer at the end. ',
+    user: 'Solve this chemistry problem:\n\n{{text}}'
+  },
+  'physics': {
+    label: 'Physics',
+    temperature: 0,
+    structured: true,
+    system: 'You are solving a physics problem. List the given quantities with their units, state the principles and equations used, solve step-by-step carrying units through every step, and provide a Final Answer with units and sensible significant figures. ',
+    user: 'Solve this physics problem:\n\n{{text}}'
+  },
+  'proof': {
+    label: 'Proof',
+    temperature: 0,
+    system: 'You are writing a mathematical proof. State precisely what is to be proved, then give a rigorous proof in which every step is justified, and end with ∎. Do NOT include a Final Answer field. ',
+    user: 'Prove the following:\n\n{{text}}'
+  },
+  'math': {
+    label: 'Math',
+    temperature: 0,
+    structured: true,
+    system: 'You are solving a mathematical problem. Restate the problem clearly, solve it step-by-step showing all work, and provide a Final Answer at the end. ',
+    user: 'Solve this math problem step-by-step:\n\n{{text}}'
+  },
+  'code': {
+    label: 'Code',
+    temperature: 0.2,
+    system: 'Identify the programming language, summarize the functionality, and offer clarification or improvements. Do NOT include a Final Answer field. ',
+    user: 'Analyze this code:\n\n{{text}}'
+  },
+  'table': {
+    label: 'Table',
+    temperature: 0.2,
+    system: 'You are analyzing tabular data. Describe what the table contains, point out notable patterns, totals or outliers, and answer any question asked about it. Present computed results as a Markdown table. Do NOT include a Final Answer field unless a specific question is asked. ',
+    user: 'Analyze this table:\n\n{{text}}'
+  },
+  'fill-blank': {
+    label: 'Fill in the blank',
+    temperature: 0.2,
+    structured: true,
+    system: 'Provide the most likely answer for this fill-in-the-blank question. Include a Final Answer field. ',
+    user: 'Fill in the blank:\n\n{{text}}'
+  },
+  'command': {
+    label: 'Command',
+    temperature: 0.2,
+    structured: true,
+    system: 'Execute this command and return the result. Include a Final Answer field. For graphs, use ASCII art. ',
+    user: 'Execute:\n\n{{text}}'
+  },
+  'translation': {
+    label: 'Translation',
+    temperature: 0.2,
+    system: 'You are translating text into {{language}}. The detected source language is {{sourceLanguage}}; confirm or correct it. Translate faithfully, keeping meaning, tone and formatting, and leave names, code and formulas as they are. Reply with a two-column Markdown table with the original on the left and the {{language}} translation on the right, one row per sentence or line, headed with both language names. Add a short note below it only for idioms or ambiguities. Do NOT include a Final Answer field. ',
+    user: 'Translate into {{language}}:\n\n{{text}}'
+  },
+  'question': {
+    label: 'Question',
+    temperature: 0.2,
+    structured: true,
+    system: 'Provide a brief, accurate answer to this question. Include a Final Answer field. ',
+    user: 'Answer this question:\n\n{{text}}'
+  },
+  'summary': {
+    label: 'Long text',
+    temperature: 0.2,
+    system: 'Summarize the key points of this text, then ask how the user would like to proceed with helpful suggestions. Do NOT include a Final Answer field. ',
+    user: 'Summarize this text:\n\n{{text}}'
+  },
+  'statement': {
+    label: 'Statement',
+    temperature: 0.2,
+    system: 'Provide a brief summary (15 words or less) and ask how the user wants to proceed. Do NOT include a Final Answer field. ',
+    user: 'Summarize:\n\n{{text}}'
+  },
+  'general': {
+    label: 'General',
+    temperature: 0.2,
+    system: 'Provide helpful analysis and insights. ',
+    user: '{{text}}'
+  }
+};
+
+// Scoring signals per category. Each signal is [test, weight, cap]: a regex
+// adds weight per match (up to cap matches, default 1), a function returns
+// the number of times to add weight.
+const CATEGORY_SIGNALS = {
+  'multiple-choice': [
+    [(text) => countLines(text, /^\s*\(?[A-Ha-h][).:]\s+\S/) >= 2 ? 1 : 0, 4],
+    [/(?:^|\s)\(?A\)\s+\S[\s\S]*?\s\(?B\)\s+\S/, 3],
+    [/\b(which of the following|select (?:one|all that apply)|choose the (?:best|correct|most)|all of the above|none of the above|true or false)\b/gi, 3],
+    [(text) => /\?/.test(text) && countLines(text, /^\s*\(?[1-9][).]\s+\S/) >= 3 ? 1 : 0, 1.5]
+  ],
+  'sql': [
+    [/\bSELECT\b[\s\S]+?\bFROM\b/i, 4],
+    [/\b(INSERT\s+INTO|UPDATE\s+\w+\s+SET|DELETE\s+FROM|CREATE\s+(?:TABLE|INDEX|VIEW)|ALTER\s+TABLE|JOIN|GROUP\s+BY|ORDER\s+BY|HAVING|WHERE)\b/g, 1.5, 3],
+    [/\b(sql|query|queries)\b/gi, 1]
+  ],
+  'regex': [
+    [/\b(regex|regexp|regular expression)(es|s)?\b/gi, 3],
+    [(text) => hasRegexLiteral(text) ? 1 : 0, 3],
+    [/\\[dwsbDWS](?![a-zA-Z])|\[\^?[^\]\s]+\][*+?{]|\(\?[:=!<]/g, 1.5, 2]
+  ],
+  'chemistry': [
+    [/(?:[A-Z][a-z]?\d*)+\s*(?:\+\s*\d*(?:[A-Z][a-z]?\d*)+\s*)*(?:→|->|⟶|⇌|<=>)\s*\d*(?:[A-Z][a-z]?\d*)+/, 4],
+    [/\b(?=[A-Za-z]*\d)(?:[A-Z][a-z]?\d*){2,}\b/g, 1.5, 2],
+    [/\b(mol|moles|molar|molarity|stoichiometry|reactants?|compound|oxidation|titration|enthalpy|equilibrium|precipitate|isotope|valence|electronegativity)\b/gi, 1.5, 2],
+    [/\bpH\b/, 1.5]
+  ],
+  'physics': [
+    [/\d+(?:\.\d+)?\s*(?:m\/s²|m\/s\^?2|m\/s|km\/h|mph|kg|kJ|kW|kPa|mA|Hz|eV|Pa|°C|Ω|ohms?|N|J|W|V|A|K|g|m|cm|mm|km|s|ms)(?![A-Za-z0-9])/g, 1, 3],
+    [/\b(velocity|speed|acceleration|force|mass|momentum|energy|friction|gravity|gravitational|projectile|circuit|voltage|current|resistance|resistor|capacitor|wavelength|frequency|torque|pressure|kinetic|potential|newtons?)\b/gi, 1.5, 3]
+  ],
+  'proof': [
+    [/\b(prove|show that|demonstrate that)\b/gi, 4],
+    [/\b(theorem|lemma|corollary|by induction|contradiction|if and only if|iff|QED|for all|there exists)\b|[∀∃∎]/gi, 1.5, 2]
+  ],
+  'math': [
+    [/^[\d\s+\-*/^().,=<>≤≥%]+$/, 4],
+    [/\d+(?:\.\d+)?\s*[+\-*/^×÷]\s*\d+/g, 1.5, 2],
+    [/\b(solve|calculate|evaluate|compute|simplify|factor|expand|differentiate|integrate)\b/gi, 2],
+    [/\b(derivative|integral|limit|equation|inequality|polynomial|matrix|determinant|probability|logarithm|sin|cos|tan|log|ln)\b/gi, 1.5, 2],
+    [/\b[a-z]\s*\^\s*\d|\b\d+[a-z]\b|\b[xyz]\s*[=+\-*/]|[=+\-*/]\s*[xyz]\b/g, 1.5, 2],
+    [/\\(?:frac|sqrt|int|sum|lim|cdot)|[√∫∑∏π∞≠]/g, 2, 2],
+    [(text) => /\bfind\b/i.test(text) && /\d/.test(text) ? 1 : 0, 1]
+  ],
+  'code': [
+    [/\b(function|def|class|import|return|const|let|var|public|private|static|void|#include|fn|func|async|await|elif|lambda)\b/g, 1, 4],
+    [/[{};]\s*$/gm, 1, 3],
+    [/=>|->|::|&&|\|\||!==|===|\+\+|<\/?[a-z][\w-]*>/g, 1, 3],
+    [/\w+\([^()]*\)\s*[{:]\s*$/m, 2],
+    [/\b(console\.log|print|printf|System\.out\.println|cout)\s*[(<]/, 2],
+    [(text) => text.includes('\n') && /^(?: {2,}|\t)\S/m.test(text) ? 1 : 0, 1]
+  ],
+  'table': [
+    [(text) => looksTabular(text) ? 1 : 0, 4]
+  ],
+  'fill-blank': [
+    [/_{2,}|\[\s*blank\s*\]|\bblank\b/gi, 3]
+  ],
+  'translation': [
+    [/\b(translate|translation|what does .+ mean in)\b/gi, 3],
+    // Only a hint: text in another language is still usually a question
+    [(text, wordCount, variables) => isForeignText(variables) ? 1 : 0, 1]
+  ],
+  'command': [
+    [/^\s*(answer|calculate|evaluate|graph|select|solve|find|explain|describe|list|write|convert)\b/i, 1.5]
+  ],
+  'question': [
+    [/\?\s*$/, 1.5],
+    [/^\s*(what|how|why|when|where|who|which|can|could|should|would|is|are|do|does|did)\b/i, 1]
+  ],
+  'summary': [
+    [(text, wordCount) => wordCount > 200 ? 3 : wordCount > 75 ? 2 : 0, 1]
+  ],
+  'statement': [
+    [(text, wordCount) => wordCount <= 20 && !/\?\s*$/.test(text) ? 1 : 0, 0.75]
+  ],
+  'general': [
+    [() => 1, 0.5]
+  ]
+};
+
+// Whether the text is in another language than both the one answers are
+// written in and the browser's (people who pick a different answer language
+// still read pages in their browser's)
+function isForeignText({ language, sourceLanguage } = {}) {
+  return !!sourceLanguage && sourceLanguage !== 'unknown' &&
+    sourceLanguage !== language && sourceLanguage !== getBrowserLanguage();
+}
+
+// Number of lines matching a pattern
+function countLines(text, pattern) {
+  return text.split('\n').filter(line => pattern.test(line)).length;
+}
+
+// A /.../flags literal containing regex syntax (plain division never does)
+function hasRegexLiteral(text) {
+  const literals = text.match(/(?:^|[\s=(,:])\/(?:\\.|[^/\n\s])(?:\\.|[^/\n])*\/[gimsuy]*(?=$|[\s;,.)])/gm) || [];
+  return literals.some(literal => /\\[dwsbDWSB.]|\[[^\]]+\]|[*+?]|\(\?[:=!<]|\/\^|\$\//.test(literal));
+}
+
+// Three or more rows sharing a delimiter (tab, pipe, or 2+ commas per row)
+function looksTabular(text) {
+  const rows = text.split('\n').filter(line => line.trim());
+  if (rows.length < 3) return false;
   
-  // Fill-in-the-blank detection
-  const isFillBlank = /_+|\bblank\b|_____/i.test(text);
+  return [['\t', 1], ['|', 1], [',', 2]].some(([delimiter, minimum]) => {
+    const counts = rows.map(row => row.split(delimiter).length - 1);
+    const sameAsFirst = counts.filter(count => count === counts[0]).length;
+    return counts[0] >= minimum && sameAsFirst >= rows.length * 0.8;
+  });
+}
+
+// Score every category for a piece of text. variables are the request's prompt
+// variables (the translation signals compare language and sourceLanguage).
+// Returns { category, ranked, wordCount }: ranked lists all categories as
+// { category, label, score }, best first, with scores as shares of the total (0–1).
+function analyzeContentType(text, variables = {}) {
+  const trimmed = text.trim();
+  const wordCount = trimmed ? trimmed.split(/\s+/).length : 0;
   
-  // Command detection
-  const isCommand = /^(answer|calculate|evaluate|graph|select|solve|find)/i.test(trimmed);
+  const raw = Object.entries(CATEGORY_SIGNALS).map(([category, signals]) => {
+    const score = signals.reduce((sum, [test, weight, cap = 1]) => {
+      let hits;
+      if (typeof test === 'function') {
+        hits = test(trimmed, wordCount, variables);
+      } else if (test.global) {
+        hits = Math.min(cap, (trimmed.match(test) || []).length);
+      } else {
+        hits = test.test(trimmed) ? 1 : 0;
+      }
+      return sum + hits * weight;
+    }, 0);
+    return { category, score };
+  });
   
-  // Matter-of-fact statement
-  const isStatement = !isQuestion && !isMath && !isCode && !isCommand && wordCount <= 20;
+  const total = raw.reduce((sum, { score }) => sum + score, 0) || 1;
+  const order = Object.keys(CONTENT_CATEGORIES);
+  const ranked = raw
+    .map(({ category, score }) => ({
+      category,
+      label: CONTENT_CATEGORIES[category].label,
+      score: Math.round((score / total) * 100) / 100
+    }))
+    .sort((a, b) => b.score - a.score || order.indexOf(a.category) - order.indexOf(b.category));
   
-  return {
-    wordCount,
-    isMath,
-    isCode,
-    isQuestion,
-    isFillBlank,
-    isCommand,
-    isStatement,
-    isLongText: wordCount > 75
-  };
+  return { category: ranked[0].category, ranked, wordCount };
 }
 
-// Build prompt based on content type
-function buildPrompt(text, contentType, isImage = false) {
-  const { isMath, isCode, isQuestion, isFillBlank, isCommand, isStatement, isLongText, wordCount } = contentType;
-  
-  let systemPrompt = 'You are a helpful AI assistant that provides accurate, concise answers. ';
-  let userPrompt = '';
+// Content type for a request: follow-ups are answered as questions, quick
+// actions bring their own prompt, and the overlay can force a category
+// ("re-run as…") instead of the detected one
+function classifyRequest(data, quickAction = null, variables = {}) {
+  const text = data.text || '';
+  if (quickAction) {
+    return { category: 'general', ranked: [], wordCount: text.trim().split(/\s+/).length };
+  }
+  if (data.isFollowUp) {
+    return { category: 'question', ranked: [], wordCount: text.trim().split(/\s+/).length };
+  }
   
-  if (isImage) {
-    systemPrompt += 'Analyze the image and provide a detailed description. ';
-    if (contentType.isMath || contentType.isCode) {
-      systemPrompt += 'If the image contains math or code, solve or explain it step-by-step. ';
-    }
-  } else if (isMath) {
-    systemPrompt += 'You are solving a mathematical problem. Restate the problem clearly, solve it step-by-step showing all work, and provide a Final Answer at the end. ';
-    userPrompt = `Solve this math problem step-by-step:\n\n${text}`;
-  } else if (isCode) {
-    systemPrompt += 'Identify the programming language, summarize the functionality, and offer clarification or improvements. Do NOT include a Final Answer field. ';
-    userPrompt = `Analyze this code:\n\n${text}`;
-  } else if (isFillBlank) {
-    systemPrompt += 'Provide the most likely answer for this fill-in-the-blank question. Include a Final Answer field. ';
-    userPrompt = `Fill in the blank:\n\n${text}`;
-  } else if (isQuestion) {
-    systemPrompt += 'Provide a brief, accurate answer to this question. Include a Final Answer field. ';
-    userPrompt = `Answer this question:\n\n${text}`;
-  } else if (isCommand) {
-    systemPrompt += 'Execute this command and return the result. Include a Final Answer field. For graphs, use ASCII art. ';
-    userPrompt = `Execute:\n\n${text}`;
-  } else if (isLongText) {
-    systemPrompt += 'Summarize the key points of this text, then ask how the user would like to proceed with helpful suggestions. Do NOT include a Final Answer field. ';
-    userPrompt = `Summarize this text:\n\n${text}`;
-  } else if (isStatement) {
-    systemPrompt += 'Provide a brief summary (15 words or less) and ask how the user wants to proceed. Do NOT include a Final Answer field. ';
-    userPrompt = `Summarize:\n\n${text}`;
-  } else {
-    systemPrompt += 'Provide helpful analysis and insights. ';
-    userPrompt = text;
+  const contentType = analyzeContentType(text, variables);
+  if (data.category && CONTENT_CATEGORIES[data.category]) {
+    contentType.category = data.category;
   }
+  return contentType;
+}
+
+// The option a multiple-choice answer picked, from its last "Final Answer"
+// line ("Final Answer: B) 7", "Final Answer: **C**"). Returns null for other
+// categories, otherwise { key, text } with letters upper-cased.
+function extractChoice(response, contentType) {
+  if (contentType.category !== 'multiple-choice') return null;
   
-  return { systemPrompt, userPrompt };
+  const lines = response.split('\n').filter(line => /final answer/i.test(line));
+  if (lines.length === 0) return null;
+  
+  const answer = lines[lines.length - 1]
+    .replace(/^.*?final answer\s*[:\-–]?\s*/i, '')
+    .replace(/\*\*/g, '')
+    .trim();
+  const match = /^(?:option\s+)?\(?([A-Ha-h]|\d{1,2})(?:[).:]|\s|$)\s*(.*)$/i.exec(answer);
+  if (!match) return null;
+  return { key: match[1].toUpperCase(), text: match[2].trim() };
 }
 
-// Get temperature based on content type
-function getTemperature(contentType) {
-  return contentType.isMath ? 0.0 : 0.2;
+// Replace {{name}} placeholders; unknown names are left as they are
+function fillTemplate(template, variables) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    variables[name] !== undefined ? variables[name] : match
+  );
+}
+
+// Default templates for the options page's Prompts tab
+function getPromptDefaults() {
+  return Object.fromEntries(Object.entries(CONTENT_CATEGORIES).map(([id, category]) => [
+    id,
+    { label: category.label, system: category.system, user: category.user }
+  ]));
+}
+
+// User-edited templates ({ category: { system?, user? } }, only the fields
+// that differ from the defaults). Kept in local storage: they can outgrow the
+// per-item quota of sync storage.
+function getPromptTemplates() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['promptTemplates'], (result) => {
+      resolve(result.promptTemplates || {});
+    });
+  });
+}
+
+// Valid quick actions from settings: { id, name, prompt, model, contexts,
+// command }, where model is an optional { provider, model } override and
+// command one of QUICK_ACTION_COMMANDS (or '')
+function getQuickActions(settings) {
+  return (settings.quickActions || DEFAULT_SETTINGS.quickActions)
+    .filter(action => action.id && action.name && action.prompt)
+    .map(action => ({
+      ...action,
+      contexts: (action.contexts || []).filter(context => ['selection', 'image'].includes(context))
+    }));
 }
 
-// Call OpenAI API
-async function callOpenAI(text, contentType, imageData = null, conversationContext = []) {
+// Settings and quick action for a request. A quick action's model override
+// becomes the primary model; the fallback chain still applies behind it.
+async function getRequestSettings(data) {
   const settings = await getSettings();
-  const apiKey = settings.openaiKey;
-  const model = settings.model || 'gpt-4.1-mini';
+  const quickAction = data.quickAction && !data.isFollowUp
+    ? getQuickActions(settings).find(action => action.id === data.quickAction) || null
+    : null;
+  const override = quickAction?.model;
+  if (!override || !PROVIDERS[override.provider] || !override.model) {
+    return { settings, quickAction };
+  }
   
-  if (!apiKey) {
-    throw new Error('OpenAI API key not configured');
+  return {
+    settings: {
+      ...settings,
+      provider: override.provider,
+      ...(override.provider === 'openai-compatible' ? { customModel: override.model } : { model: override.model })
+    },
+    quickAction
+  };
+}
+
+// Name of the language answers should be written in: the thread's override,
+// then the setting, then the browser's language ("en-GB" → "English")
+function getResponseLanguage(data, settings) {
+  if (data.language) return data.language;
+  if (settings.responseLanguage) return settings.responseLanguage;
+  return getBrowserLanguage();
+}
+
+// Name of the browser's UI language, in English
+function getBrowserLanguage() {
+  try {
+    const code = new Intl.Locale(chrome.i18n.getUILanguage()).language;
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || 'English';
+  } catch (e) {
+    return 'English';
   }
+}
+
+// Scripts that identify a language on their own, checked in order (kana
+// before Han, which Japanese also uses)
+const LANGUAGE_SCRIPTS = [
+  ['Japanese', /[\u3040-\u30ff]/g],
+  ['Korean', /[\uac00-\ud7af\u1100-\u11ff]/g],
+  ['Chinese', /[\u4e00-\u9fff]/g],
+  ['Ukrainian', /[іїєґІЇЄҐ]/g],
+  ['Russian', /[\u0400-\u04ff]/g],
+  ['Arabic', /[\u0600-\u06ff]/g],
+  ['Hebrew', /[\u0590-\u05ff]/g],
+  ['Greek', /[\u0370-\u03ff]/g],
+  ['Hindi', /[\u0900-\u097f]/g],
+  ['Thai', /[\u0e00-\u0e7f]/g]
+];
+
+// Common short words of Latin-script languages
+const LANGUAGE_STOPWORDS = {
+  'English': ['the', 'and', 'is', 'of', 'to', 'in', 'that', 'it', 'with', 'for', 'are', 'this', 'what', 'was', 'be'],
+  'Spanish': ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'es', 'por', 'para', 'con', 'una', 'del', 'se', 'cuál', 'qué'],
+  'French': ['le', 'la', 'les', 'de', 'des', 'et', 'est', 'une', 'que', 'dans', 'pour', 'pas', 'du', 'au', 'ce', 'il', 'quel'],
+  'German': ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'zu', 'mit', 'den', 'von', 'auf', 'für', 'ich', 'sie', 'wie'],
+  'Italian': ['il', 'lo', 'gli', 'di', 'che', 'è', 'una', 'per', 'non', 'con', 'del', 'della', 'sono', 'le', 'quale'],
+  'Portuguese': ['o', 'os', 'de', 'que', 'é', 'um', 'uma', 'para', 'com', 'não', 'do', 'da', 'em', 'qual', 'são'],
+  'Dutch': ['de', 'het', 'een', 'en', 'van', 'is', 'dat', 'niet', 'op', 'te', 'zijn', 'met', 'voor', 'ik', 'wat']
+};
+
+// Best guess at the language of a text, or null when it's too short or too
+// mixed to tell
+function detectLanguage(text) {
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  if (letters < 6) return null;
   
-  const { systemPrompt, userPrompt } = buildPrompt(text, contentType, !!imageData);
-  const temperature = getTemperature(contentType);
+  for (const [language, pattern] of LANGUAGE_SCRIPTS) {
+    if ((text.match(pattern) || []).length / letters > 0.3) {
+      return language;
+    }
+  }
   
-  const messages = [
-    { role: 'system', content: systemPrompt }
-  ];
+  const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+  if (words.length < 4) return null;
   
-  // Add conversation context (previous messages)
-  if (conversationContext && conversationContext.length > 0) {
-    conversationContext.forEach(msg => {
-      if (msg.role === 'user') {
-        messages.push({
-          role: 'user',
-          content: msg.imageData ? [
-            { type: 'text', text: msg.text },
-            { type: 'image_url', image_url: { url: msg.imageData } }
-          ] : msg.text
-        });
-      } else if (msg.role === 'assistant') {
-        messages.push({
-          role: 'assistant',
-          content: msg.text
-        });
-      }
-    });
-  }
+  const scores = Object.entries(LANGUAGE_STOPWORDS)
+    .map(([language, stopwords]) => [language, words.filter(word => stopwords.includes(word)).length])
+    .sort((a, b) => b[1] - a[1]);
+  const [[best, hits], [, runnerUp]] = scores;
+  return hits >= 2 && hits >= words.length * 0.15 && hits > runnerUp ? best : null;
+}
+
+// Template variables for a request; pageTitle and url come from the tab
+function getPromptVariables(data, settings) {
+  return {
+    pageTitle: data.pageTitle || '',
+    url: data.url || '',
+    language: getResponseLanguage(data, settings),
+    sourceLanguage: detectLanguage(data.text || '') || 'unknown'
+  };
+}
+
+// Added to every category's system prompt (quick actions say what they want)
+const LANGUAGE_INSTRUCTION = 'Write your answer in {{language}}; keep code, formulas and quoted text in their original language. ';
+
+// Build prompt from the content category's template, or from the quick
+// action's. templates are the user's overrides, variables the values for
+// everything but {{text}}.
+function buildPrompt(text, contentType, isImage = false, { templates = {}, variables = {}, quickAction = null, structured = false } = {}) {
+  const id = CONTENT_CATEGORIES[contentType.category] ? contentType.category : 'general';
+  const category = { ...CONTENT_CATEGORIES[id], ...templates[id] };
+  const values = { ...variables, text };
   
-  // Add current user message
-  const currentUserMessage = { role: 'user', content: [] };
+  let systemPrompt = 'You are a helpful AI assistant that provides accurate, concise answers. ';
+  let userPrompt = '';
   
-  // Add text content
-  if (userPrompt) {
-    currentUserMessage.content.push({ type: 'text', text: userPrompt });
+  if (quickAction) {
+    userPrompt = fillTemplate(quickAction.prompt, values);
+  } else if (isImage) {
+    systemPrompt += 'Analyze the image and provide a detailed description. ';
+    // A category picked for an image means the image holds that kind of problem
+    if (!['general', 'statement', 'summary', 'question', 'command'].includes(id)) {
+      systemPrompt += `The image contains ${category.label.toLowerCase()} content. ${fillTemplate(category.system, values)}`;
+    }
+  } else {
+    systemPrompt += fillTemplate(category.system, values);
+    userPrompt = fillTemplate(category.user, values);
   }
-  
-  // Add image if present
-  if (imageData) {
-    currentUserMessage.content.push({
-      type: 'image_url',
-      image_url: { url: imageData }
-    });
+  if (!quickAction && values.language) {
+    systemPrompt += fillTemplate(LANGUAGE_INSTRUCTION, values);
   }
-  
-  // If content is just an array, use it directly
-  if (currentUserMessage.content.length === 0) {
-    currentUserMessage.content = userPrompt || text;
+  if (structured) {
+    systemPrompt += STRUCTURED_INSTRUCTION;
   }
   
-  messages.push(currentUserMessage);
-  
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
+  return { systemPrompt, userPrompt };
+}
+
+// Get temperature based on content type
+function getTemperature(contentType) {
+  const category = CONTENT_CATEGORIES[contentType.category] || CONTENT_CATEGORIES.general;
+  return category.temperature;
+}
+
+// Structured answers: what providers are asked to return for structured
+// categories (OpenAI JSON schema, Claude forced tool call, or just the prompt)
+const ANSWER_SCHEMA = {
+  type: 'object',
+  properties: {
+    steps: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'The reasoning, one short step per item'
+    },
+    finalAnswer: {
+      type: 'string',
+      description: 'The answer alone, without explanation'
+    },
+    assumptions: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Anything assumed that the problem did not state'
+    },
+    confidence: {
+      type: 'number',
+      description: 'How likely finalAnswer is correct, from 0 to 100'
+    }
+  },
+  required: ['steps', 'finalAnswer', 'assumptions', 'confidence'],
+  additionalProperties: false
+};
+
+const CLAUDE_ANSWER_TOOL = {
+  name: 'submit_answer',
+  description: 'Submit the worked solution and final answer.',
+  input_schema: ANSWER_SCHEMA
+};
+
+// Added to the system prompt of structured requests
+const STRUCTURED_INSTRUCTION = 'Respond only with a JSON object with these fields: "steps" (array of strings, your reasoning one short step each), "finalAnswer" (string, the answer alone; for multiple choice write it as "B) option text"), "assumptions" (array of strings, anything you had to assume; empty if none) and "confidence" (number from 0 to 100, how likely finalAnswer is correct). This replaces the Final Answer line. ';
+
+// Stop reasons meaning the answer was cut off by max_tokens
+const TRUNCATED_FINISH_REASONS = ['length', 'max_tokens'];
+
+// Model asked for a second opinion from a provider the fallback chain doesn't name
+const SECOND_OPINION_MODELS = {
+  openai: 'gpt-4.1-mini',
+  claude: 'claude-sonnet-4-6'
+};
+
+// Categories answered by self-consistency sampling when it is turned on
+const SELF_CONSISTENCY_CATEGORIES = ['math'];
+const MAX_SELF_CONSISTENCY_SAMPLES = 9;
+
+// Image uploads the OpenAI API accepts (sizes are of the base64 payload)
+const OPENAI_IMAGE_LIMITS = {
+  maxBytes: 20 * 1024 * 1024,
+  types: ['image/jpeg', 'image/png', 'image/gif', 'image/webp']
+};
+
+// Provider adapters
+// Each adapter describes how to reach a provider: where to send the request,
+// how to shape the messages/body, and how to read a response or stream event.
+// parseSignals/stream events also report what the confidence estimate uses:
+// the finish reason and, where available, token logprobs.
+// handleAnalysis/handleAnalysisStream dispatch through this registry.
+const PROVIDERS = {
+  openai: {
+    name: 'OpenAI',
+    defaultModel: 'gpt-4.1-mini',
+    getApiKey: (settings) => settings.openaiKey,
+    requiresKey: true,
+    getEndpoint: () => 'https://api.openai.com/v1/chat/completions',
+    getModel: (settings) => settings.model || 'gpt-4.1-mini',
+    buildHeaders: (apiKey) => ({
       'Content-Type': 'application/json',
       'Authorization': `Bearer ${apiKey}`
+    }),
+    buildMessages: buildOpenAIMessages,
+    imageLimits: OPENAI_IMAGE_LIMITS,
+    buildBody: ({ model, systemPrompt, messages, temperature, stream, structured }) => ({
+      model: model,
+      messages: [{ role: 'system', content: systemPrompt }, ...messages],
+      temperature: temperature,
+      max_tokens: 2000,
+      stream: stream,
+      // Token probabilities feed the confidence estimate
+      logprobs: true,
+      ...(structured ? {
+        response_format: {
+          type: 'json_schema',
+          json_schema: { name: 'answer', strict: true, schema: ANSWER_SCHEMA }
+        }
+      } : {}),
+      // Ask for a final chunk carrying token usage
+      ...(stream ? { stream_options: { include_usage: true } } : {})
+    }),
+    parseResponse: (data) => data.choices[0].message.content,
+    parseUsage: (data) => readOpenAIUsage(data.usage),
+    parseSignals: (data) => ({
+      finishReason: data.choices[0].finish_reason,
+      logprobs: data.choices[0].logprobs?.content || []
+    }),
+    parseStreamEvent: (json) => ({
+      delta: json.choices?.[0]?.delta?.content || '',
+      done: false,
+      usage: readOpenAIUsage(json.usage),
+      finishReason: json.choices?.[0]?.finish_reason,
+      logprobs: json.choices?.[0]?.logprobs?.content
+    })
+  },
+  claude: {
+    name: 'Claude',
+    defaultModel: 'claude-sonnet-4-6',
+    getApiKey: (settings) => settings.claudeKey,
+    requiresKey: true,
+    getEndpoint: () => 'https://api.anthropic.com/v1/messages',
+    getModel: (settings) => settings.model || 'claude-sonnet-4-6',
+    buildHeaders: (apiKey) => ({
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01',
+      'anthropic-dangerous-direct-browser-access': 'true'
+    }),
+    buildMessages: buildClaudeMessages,
+    imageLimits: {
+      maxBytes: 5 * 1024 * 1024,
+      types: ['image/jpeg', 'image/png', 'image/gif', 'image/webp']
     },
-    body: JSON.stringify({
+    buildBody: ({ model, systemPrompt, messages, temperature, stream, structured }) => ({
       model: model,
+      system: systemPrompt,
       messages: messages,
       temperature: temperature,
       max_tokens: 2000,
-      stream: false
+      stream: stream,
+      // Structured answers come back as the input of a forced tool call
+      ...(structured ? {
+        tools: [CLAUDE_ANSWER_TOOL],
+        tool_choice: { type: 'tool', name: CLAUDE_ANSWER_TOOL.name }
+      } : {})
+    }),
+    parseResponse: (data) => data.content
+      .map(block => block.type === 'tool_use' ? JSON.stringify(block.input) : block.text || '')
+      .join(''),
+    parseUsage: (data) => readClaudeUsage(data.usage),
+    parseSignals: (data) => ({ finishReason: data.stop_reason }),
+    parseStreamEvent: (json) => {
+      // Text, or the tool input JSON of a structured answer
+      const delta = json.delta?.text || json.delta?.partial_json;
+      if (json.type === 'content_block_delta' && delta) {
+        return { delta: delta, done: false };
+      }
+      // Input tokens arrive in message_start, the running output count in message_delta
+      if (json.type === 'message_start') {
+        return { delta: '', done: false, usage: readClaudeUsage(json.message?.usage) };
+      }
+      if (json.type === 'message_delta') {
+        return { delta: '', done: false, usage: readClaudeUsage(json.usage), finishReason: json.delta?.stop_reason };
+      }
+      return { delta: '', done: json.type === 'message_stop' };
+    }
+  },
+  // Any server that speaks the OpenAI chat completions API
+  // (llama.cpp, vLLM, Ollama, LM Studio, ...)
+  'openai-compatible': {
+    name: 'OpenAI-compatible',
+    defaultModel: '',
+    getApiKey: (settings) => settings.customKey,
+    requiresKey: false,
+    getEndpoint: (settings) => buildCompatibleEndpoint(settings.customBaseUrl),
+    getModel: (settings) => settings.customModel,
+    buildHeaders: (apiKey) => {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+      }
+      return headers;
+    },
+    buildMessages: buildOpenAIMessages,
+    imageLimits: OPENAI_IMAGE_LIMITS,
+    buildBody: ({ model, systemPrompt, messages, temperature, stream }) => ({
+      model: model,
+      messages: [{ role: 'system', content: systemPrompt }, ...messages],
+      temperature: temperature,
+      max_tokens: 2000,
+      stream: stream
+    }),
+    parseResponse: (data) => data.choices[0].message.content,
+    // Not every server reports usage; count it when they do
+    parseUsage: (data) => readOpenAIUsage(data.usage),
+    // Servers differ in schema and logprob support, so structured answers
+    // rely on the prompt alone and confidence on the finish reason
+    parseSignals: (data) => ({ finishReason: data.choices[0].finish_reason }),
+    parseStreamEvent: (json) => ({
+      delta: json.choices?.[0]?.delta?.content || '',
+      done: false,
+      usage: readOpenAIUsage(json.usage),
+      finishReason: json.choices?.[0]?.finish_reason
     })
-  });
-  
-  if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error?.message || 'OpenAI API error');
   }
-  
-  const data = await response.json();
-  return data.choices[0].message.content;
+};
+
+// Normalize an OpenAI-style usage object to { inputTokens, outputTokens }
+function readOpenAIUsage(usage) {
+  if (!usage) return null;
+  return {
+    inputTokens: usage.prompt_tokens || 0,
+    outputTokens: usage.completion_tokens || 0
+  };
 }
 
-// Call OpenAI API with streaming
-async function callOpenAIStream(text, contentType, imageData = null, conversationContext = [], tabId) {
-  const settings = await getSettings();
-  const apiKey = settings.openaiKey;
-  const model = settings.model || 'gpt-4.1-mini';
-  
-  if (!apiKey) {
-    throw new Error('OpenAI API key not configured');
+// Normalize a Claude usage object; stream events may carry only one side
+function readClaudeUsage(usage) {
+  if (!usage) return null;
+  const result = {};
+  if (usage.input_tokens !== undefined) {
+    result.inputTokens = usage.input_tokens;
   }
-  
-  const { systemPrompt, userPrompt } = buildPrompt(text, contentType, !!imageData);
-  const temperature = getTemperature(contentType);
-  
-  const messages = [
-    { role: 'system', content: systemPrompt }
-  ];
+  if (usage.output_tokens !== undefined) {
+    result.outputTokens = usage.output_tokens;
+  }
+  return result;
+}
+
+// Resolve a provider adapter by ID
+function getProvider(providerId) {
+  const provider = PROVIDERS[providerId];
+  if (!provider) {
+    throw new Error(`Unknown provider: ${providerId}`);
+  }
+  return provider;
+}
+
+// Model name the configured provider will use
+function getActiveModel(settings) {
+  const provider = PROVIDERS[settings.provider];
+  return provider ? provider.getModel(settings) : settings.model;
+}
+
+// Human-readable model name for the overlay
+function getModelDisplayName(model) {
+  const known = OPENAI_MODELS[model] || CLAUDE_MODELS[model];
+  return known ? known.name : model;
+}
+
+// Ordered { provider, model } targets to try: the primary, then the fallback chain
+function getProviderTargets(settings) {
+  const primary = { provider: settings.provider, model: getActiveModel(settings) };
+  const fallbacks = (settings.fallbackChain || []).filter(target =>
+    PROVIDERS[target.provider] && target.model &&
+    !(target.provider === primary.provider && target.model === primary.model)
+  );
+  return [primary, ...fallbacks];
+}
+
+// Turn a user-supplied base URL into a chat completions endpoint
+// ("http://localhost:11434/v1" → "http://localhost:11434/v1/chat/completions")
+function buildCompatibleEndpoint(baseUrl) {
+  const trimmed = (baseUrl || '').trim().replace(/\/+$/, '');
+  if (!trimmed) {
+    throw new ProviderError('OpenAI-compatible base URL not configured', { code: 'not_configured' });
+  }
+  if (/\/chat\/completions$/.test(trimmed)) {
+    return trimmed;
+  }
+  return `${trimmed}/chat/completions`;
+}
+
+// Build OpenAI-style messages (conversation context + current user message)
+function buildOpenAIMessages(userPrompt, text, imageData, conversationContext = []) {
+  const messages = [];
   
   // Add conversation context (previous messages)
-  if (conversationContext && conversationContext.length > 0) {
-    conversationContext.forEach(msg => {
-      if (msg.role === 'user') {
-        messages.push({
-          role: 'user',
-          content: msg.imageData ? [
-            { type: 'text', text: msg.text },
-            { type: 'image_url', image_url: { url: msg.imageData } }
-          ] : msg.text
-        });
-      } else if (msg.role === 'assistant') {
-        messages.push({
-          role: 'assistant',
-          content: msg.text
-        });
-      }
-    });
-  }
+  conversationContext.forEach(msg => {
+    if (msg.role === 'user') {
+      messages.push({
+        role: 'user',
+        content: msg.imageData ? [
+          { type: 'text', text: msg.text },
+          { type: 'image_url', image_url: { url: msg.imageData } }
+        ] : msg.text
+      });
+    } else if (msg.role === 'assistant') {
+      messages.push({
+        role: 'assistant',
+        content: msg.text
+      });
+    }
+  });
   
   // Add current user message
   const currentUserMessage = { role: 'user', content: [] };
@@ -297,37 +1116,514 @@ async function callOpenAIStream(text, contentType, imageData = null, conversatio
     });
   }
   
+  // Fall back to plain string content when there is nothing to put in parts
   if (currentUserMessage.content.length === 0) {
     currentUserMessage.content = userPrompt || text;
   }
   
   messages.push(currentUserMessage);
+  return messages;
+}
+
+// Build Claude-style messages (conversation context + current user message)
+function buildClaudeMessages(userPrompt, text, imageData, conversationContext = []) {
+  const messages = [];
   
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`
-    },
-    body: JSON.stringify({
-      model: model,
-      messages: messages,
-      temperature: temperature,
-      max_tokens: 2000,
-      stream: true
-    })
+  // Add conversation context (previous messages)
+  conversationContext.forEach(msg => {
+    if (msg.role === 'user') {
+      messages.push({
+        role: 'user',
+        content: msg.imageData ? [
+          { type: 'text', text: msg.text },
+          buildClaudeImageBlock(msg.imageData)
+        ] : msg.text
+      });
+    } else if (msg.role === 'assistant') {
+      messages.push({
+        role: 'assistant',
+        content: msg.text
+      });
+    }
   });
   
-  if (!response.ok) {
-    const error = await response.json().catch(() => ({ error: { message: 'OpenAI API error' } }));
-    throw new Error(error.error?.message || 'OpenAI API error');
+  // Add current user message
+  if (imageData) {
+    messages.push({
+      role: 'user',
+      content: [
+        { type: 'text', text: userPrompt || text },
+        buildClaudeImageBlock(imageData)
+      ]
+    });
+  } else {
+    messages.push({
+      role: 'user',
+      content: userPrompt || text
+    });
   }
   
-  // Stream the response
-  const reader = response.body.getReader();
+  return messages;
+}
+
+// Build a Claude base64 image block from a data URL
+function buildClaudeImageBlock(imageData) {
+  const { mimeType, data } = parseDataUrl(imageData);
+  return {
+    type: 'image',
+    source: {
+      type: 'base64',
+      media_type: mimeType || 'image/png',
+      data: data
+    }
+  };
+}
+
+// Split a base64 data URL into its MIME type and payload. Anything else
+// (e.g. a plain image URL) comes back with a null mimeType.
+function parseDataUrl(imageData) {
+  const match = /^data:([^;,]+)?(?:;[^,]*)?;base64,(.*)$/s.exec(imageData);
+  if (!match) {
+    return { mimeType: null, data: imageData.split(',')[1] || imageData };
+  }
+  return { mimeType: (match[1] || '').toLowerCase(), data: match[2] };
+}
+
+// Image downloads for the content script. Pages can display images from any
+// CDN, but reading their pixels from the page taints the canvas. The worker
+// can download them directly from origins it has access to (activeTab for the
+// current site, or an optional host permission the user granted).
+const MAX_IMAGE_FETCH_BYTES = 25 * 1024 * 1024;
+const IMAGE_FETCH_TIMEOUT_MS = 15000;
+
+// Image signatures, for servers that send a generic Content-Type
+const IMAGE_SIGNATURES = [
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], offset8: [0x57, 0x45, 0x42, 0x50] },
+  { type: 'image/bmp', bytes: [0x42, 0x4d] }
+];
+
+function sniffImageType(bytes) {
+  const matches = (signature, offset) => signature.every((byte, i) => bytes[offset + i] === byte);
+  const found = IMAGE_SIGNATURES.find(({ bytes: signature, offset8 }) =>
+    matches(signature, 0) && (!offset8 || matches(offset8, 8))
+  );
+  return found ? found.type : null;
+}
+
+const PRIVATE_HOST_ERROR = "Can't download images from this device or the local network";
+
+// Whether a URL hostname is this device, a private or link-local network, or
+// an intranet name. The worker's requests aren't limited like the page's, so
+// these are refused rather than fetched for whatever the page shows.
+function isPrivateHost(hostname) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  
+  if (host.includes(':')) {
+    // IPv6 (the URL parser has already compressed it): unspecified,
+    // loopback, unique local fc00::/7, link-local fe80::/10, and IPv4-mapped
+    return host === '::' || host === '::1' || /^f[cd]/.test(host) || /^fe[89ab]/.test(host) || host.startsWith('::ffff:');
+  }
+  
+  // The URL parser has already turned decimal, octal and hex forms into dotted quads
+  const ipv4 = /^(\d+)\.(\d+)\.\d+\.\d+$/.exec(host);
+  if (ipv4) {
+    const [a, b] = [Number(ipv4[1]), Number(ipv4[2])];
+    return a === 0 || a === 10 || a === 127
+      || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 168);
+  }
+  
+  // localhost and single-label intranet names, *.localhost and mDNS *.local
+  return !host.includes('.') || host.endsWith('.localhost') || host.endsWith('.local');
+}
+
+// Download an image URL and return it as a data URL
+async function fetchImageAsDataUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    throw new Error('Invalid image address');
+  }
+  if (parsed.protocol === 'data:') {
+    return url;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error(`Can't download ${parsed.protocol} images`);
+  }
+  if (isPrivateHost(parsed.hostname)) {
+    throw new Error(PRIVATE_HOST_ERROR);
+  }
+  
+  let response;
+  try {
+    // Never send the site's cookies; images behind a login are read from the page instead
+    response = await fetch(url, {
+      credentials: 'omit',
+      signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT_MS)
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new Error('Image download timed out');
+    }
+    // Without access to the image's host the request is blocked like any
+    // cross-origin fetch; tell the caller which origin to ask for
+    const failure = new Error('Could not download the image');
+    const origin = `${parsed.protocol}//${parsed.hostname}/*`;
+    if (!(await chrome.permissions.contains({ origins: [origin] }))) {
+      failure.origin = origin;
+    }
+    throw failure;
+  }
+  // A public address may redirect into the local network; don't hand back
+  // what came from there
+  if (isPrivateHost(new URL(response.url).hostname)) {
+    throw new Error(PRIVATE_HOST_ERROR);
+  }
+  if (!response.ok) {
+    throw new Error(`Image download failed (HTTP ${response.status})`);
+  }
+  
+  const tooLarge = `Image is larger than ${MAX_IMAGE_FETCH_BYTES / (1024 * 1024)} MB`;
+  if (parseInt(response.headers.get('content-length'), 10) > MAX_IMAGE_FETCH_BYTES) {
+    throw new Error(tooLarge);
+  }
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  if (bytes.length > MAX_IMAGE_FETCH_BYTES) {
+    throw new Error(tooLarge);
+  }
+  
+  // Trust the bytes, not the header. SVG has no signature and can carry
+  // markup, so it is left to the page to rasterize.
+  const type = sniffImageType(bytes);
+  if (!type) {
+    throw new Error("That address doesn't point to an image");
+  }
+  
+  return `data:${type};base64,${bytesToBase64(bytes)}`;
+}
+
+// Base64-encode bytes; btoa needs a binary string, built in chunks to stay
+// within argument limits
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Screenshot the visible part of a tab and crop it to a snipped rectangle.
+// rect is in CSS pixels relative to the viewport; the screenshot is in device
+// pixels, so everything is scaled by the page's devicePixelRatio.
+async function captureRegion(tab, rect, devicePixelRatio = 1) {
+  if (!tab) {
+    throw new Error('Snipping only works in a browser tab');
+  }
+  
+  const screenshot = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+  const bitmap = await createImageBitmap(await (await fetch(screenshot)).blob());
+  
+  const scale = devicePixelRatio || 1;
+  const x = Math.max(0, Math.round(rect.x * scale));
+  const y = Math.max(0, Math.round(rect.y * scale));
+  const width = Math.min(bitmap.width - x, Math.round(rect.width * scale));
+  const height = Math.min(bitmap.height - y, Math.round(rect.height * scale));
+  if (width <= 0 || height <= 0) {
+    throw new Error('The snipped region is outside the visible page');
+  }
+  
+  const canvas = new OffscreenCanvas(width, height);
+  canvas.getContext('2d').drawImage(bitmap, x, y, width, height, 0, 0, width, height);
+  bitmap.close();
+  
+  const blob = await canvas.convertToBlob({ type: 'image/png' });
+  return `data:image/png;base64,${bytesToBase64(new Uint8Array(await blob.arrayBuffer()))}`;
+}
+
+// Reject images a provider won't accept before spending a request on them.
+// The content script already downscales images; this catches what's left.
+function validateImage(provider, imageData) {
+  const { mimeType, data } = parseDataUrl(imageData);
+  if (!mimeType || !provider.imageLimits) return;
+  
+  const { maxBytes, types } = provider.imageLimits;
+  if (!types.includes(mimeType)) {
+    throw new ProviderError(`${provider.name} can't read ${mimeType} images. Please use a PNG, JPEG, GIF or WebP image.`, { code: 'image_unsupported' });
+  }
+  if (data.length > maxBytes) {
+    const size = (data.length / (1024 * 1024)).toFixed(1);
+    const limit = (maxBytes / (1024 * 1024)).toFixed(0);
+    throw new ProviderError(`This image is too large for ${provider.name} (${size} MB, limit ${limit} MB). Try a smaller or cropped image.`, { code: 'image_too_large' });
+  }
+}
+
+// Conversation context management
+// Tokens are estimated (about 4 characters each) rather than counted exactly;
+// the budgets leave enough headroom for the difference.
+const IMAGE_TOKEN_ESTIMATE = 1600;
+const MESSAGE_TOKEN_OVERHEAD = 4;
+const CONDENSED_TURN_CHARS = 300;
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function estimateMessageTokens(msg) {
+  return estimateTokens(msg.text) + (msg.imageData ? IMAGE_TOKEN_ESTIMATE : 0) + MESSAGE_TOKEN_OVERHEAD;
+}
+
+function getContextBudget(model) {
+  const known = OPENAI_MODELS[model] || CLAUDE_MODELS[model];
+  return known ? known.contextBudget : DEFAULT_CONTEXT_BUDGET;
+}
+
+// Replace an earlier image with a marker; the assistant reply that follows
+// it already describes what was in it
+function withoutImage(msg) {
+  const marker = '[Image shared earlier; see the description in the reply that follows]';
+  return { ...msg, imageData: null, text: msg.text ? `${msg.text}\n${marker}` : marker };
+}
+
+// Condense dropped turns into short "User: … / Assistant: …" lines, keeping
+// the most recent lines that fit in maxTokens
+function condenseTurns(messages, maxTokens) {
+  const lines = messages.map(msg => {
+    const speaker = msg.role === 'user' ? 'User' : 'Assistant';
+    const text = (msg.text || '').replace(/\s+/g, ' ').trim();
+    const short = text.length > CONDENSED_TURN_CHARS ? `${text.slice(0, CONDENSED_TURN_CHARS)}…` : text;
+    return `${speaker}: ${short || '[image]'}`;
+  });
+  
+  const kept = [];
+  let tokens = 0;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    tokens += estimateTokens(lines[i]) + 1;
+    if (tokens > maxTokens) break;
+    kept.unshift(lines[i]);
+  }
+  return kept.join('\n');
+}
+
+// Fit a request's conversation context into the model's context budget.
+// Only the most recent earlier image is kept (none if this message has its own
+// image); if the thread is still too long, the oldest turns are dropped and
+// condensed into request.contextSummary. Returns { request, condensed }, where
+// condensed is null or { condensedTurns, droppedImages }.
+function fitConversationContext(request, model) {
+  const context = request.conversationContext || [];
+  if (context.length === 0) {
+    return { request, condensed: null };
+  }
+  
+  const currentTokens = estimateTokens(request.text) + (request.imageData ? IMAGE_TOKEN_ESTIMATE : 0);
+  const budget = Math.max(0, getContextBudget(model) - currentTokens);
+  
+  let droppedImages = 0;
+  const lastImageIndex = context.map(msg => !!msg.imageData).lastIndexOf(true);
+  let messages = context.map((msg, index) => {
+    if (!msg.imageData || (index === lastImageIndex && !request.imageData)) {
+      return msg;
+    }
+    droppedImages++;
+    return withoutImage(msg);
+  });
+  
+  let total = messages.reduce((sum, msg) => sum + estimateMessageTokens(msg), 0);
+  if (total > budget && lastImageIndex !== -1 && messages[lastImageIndex].imageData) {
+    messages[lastImageIndex] = withoutImage(messages[lastImageIndex]);
+    droppedImages++;
+    total = messages.reduce((sum, msg) => sum + estimateMessageTokens(msg), 0);
+  }
+  
+  // Drop the oldest turns, leaving a fifth of the budget for their summary.
+  // The kept context must start with a user turn.
+  const dropped = [];
+  if (total > budget) {
+    const keepBudget = Math.floor(budget * 0.8);
+    while (messages.length > 0 && (total > keepBudget || messages[0].role !== 'user')) {
+      const msg = messages.shift();
+      total -= estimateMessageTokens(msg);
+      dropped.push(msg);
+    }
+  }
+  
+  if (dropped.length === 0 && droppedImages === 0) {
+    return { request, condensed: null };
+  }
+  
+  return {
+    request: {
+      ...request,
+      conversationContext: messages,
+      contextSummary: dropped.length > 0 ? condenseTurns(dropped, Math.floor(budget * 0.2)) : ''
+    },
+    condensed: { condensedTurns: dropped.length, droppedImages }
+  };
+}
+
+// Overlay notice for condensed context
+function describeCondensedContext({ condensedTurns, droppedImages }) {
+  const parts = [];
+  if (condensedTurns > 0) {
+    parts.push(`${condensedTurns} older message${condensedTurns === 1 ? '' : 's'} condensed`);
+  }
+  if (droppedImages > 0) {
+    parts.push(`${droppedImages} earlier image${droppedImages === 1 ? '' : 's'} replaced by ${droppedImages === 1 ? 'its description' : 'their descriptions'}`);
+  }
+  return `Earlier context shortened to fit the model: ${parts.join(', ')}.`;
+}
+
+// Prepare the fetch request for a { provider, model } target. request holds
+// what is being analyzed: { text, contentType, imageData, conversationContext,
+// contextSummary, templates, variables, quickAction, structured, samples,
+// temperature } (see fitConversationContext for the summary, sampleAnswers
+// for samples/temperature and buildPrompt for the rest).
+function buildProviderRequest(settings, target, request, { stream = false, signal } = {}) {
+  const { text, contentType, imageData, conversationContext, contextSummary } = request;
+  const provider = getProvider(target.provider);
+  const apiKey = provider.getApiKey(settings);
+  const model = target.model;
+  
+  if (provider.requiresKey && !apiKey) {
+    throw new ProviderError(`${provider.name} API key not configured`, { code: 'not_configured' });
+  }
+  if (!model) {
+    throw new ProviderError(`${provider.name} model not configured`, { code: 'not_configured' });
+  }
+  
+  [imageData, ...(conversationContext || []).map(msg => msg.imageData)]
+    .filter(Boolean)
+    .forEach(image => validateImage(provider, image));
+  
+  let { systemPrompt, userPrompt } = buildPrompt(text, contentType, !!imageData, request);
+  if (contextSummary) {
+    systemPrompt += `\n\nEarlier conversation, condensed to fit the context window:\n${contextSummary}`;
+  }
+  // Self-consistency samples need a temperature above the category's
+  const temperature = request.temperature ?? getTemperature(contentType);
+  const messages = provider.buildMessages(userPrompt, text, imageData, conversationContext || []);
+  
+  return {
+    provider,
+    model,
+    url: provider.getEndpoint(settings),
+    init: {
+      method: 'POST',
+      headers: provider.buildHeaders(apiKey),
+      body: JSON.stringify(provider.buildBody({ model, systemPrompt, messages, temperature, stream, structured: !!request.structured })),
+      signal: signal
+    }
+  };
+}
+
+// Error from a provider call, carrying what the retry logic needs
+class ProviderError extends Error {
+  constructor(message, { status = 0, code = '', retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// HTTP statuses worth retrying (timeouts, rate limits, server errors, overloaded)
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504, 529];
+
+// Error types that look retryable by status but won't clear up by waiting
+const NON_RETRYABLE_ERROR_CODES = ['insufficient_quota', 'billing_hard_limit_reached'];
+
+// Throw a readable error for a failed provider response
+async function throwProviderError(response, provider) {
+  const fallback = `${provider.name} API error`;
+  const error = await response.json().catch(() => ({ error: { message: fallback } }));
+  const code = error.error?.code || error.error?.type || '';
+  
+  throw new ProviderError(error.error?.message || fallback, {
+    status: response.status,
+    code: code,
+    retryable: RETRYABLE_STATUSES.includes(response.status) &&
+      !NON_RETRYABLE_ERROR_CODES.includes(code),
+    retryAfterMs: parseRetryAfter(response.headers)
+  });
+}
+
+// Read how long the provider asked us to wait (Retry-After / retry-after-ms)
+function parseRetryAfter(headers) {
+  const retryAfterMs = parseFloat(headers.get('retry-after-ms'));
+  if (!isNaN(retryAfterMs)) {
+    return retryAfterMs;
+  }
+  
+  const retryAfter = headers.get('retry-after');
+  if (!retryAfter) {
+    return null;
+  }
+  
+  // Either delta-seconds or an HTTP date
+  const seconds = parseFloat(retryAfter);
+  if (!isNaN(seconds)) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(retryAfter);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Fetch, turning network failures into retryable provider errors
+async function fetchProvider(url, init, provider) {
+  try {
+    return await fetch(url, init);
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw error;
+    }
+    throw new ProviderError(`Could not reach ${provider.name}: ${error.message}`, { code: 'network', retryable: true });
+  }
+}
+
+// Call a provider target; resolves to { text, usage, signals }
+async function callProvider(settings, target, request, { signal } = {}) {
+  const { provider, url, init } = buildProviderRequest(settings, target, request, { signal });
+  
+  const response = await fetchProvider(url, init, provider);
+  
+  if (!response.ok) {
+    await throwProviderError(response, provider);
+  }
+  
+  const data = await response.json();
+  return {
+    text: provider.parseResponse(data),
+    usage: provider.parseUsage(data) || {},
+    signals: provider.parseSignals(data)
+  };
+}
+
+// Call a provider target with streaming; onChunk receives each text delta.
+// Aborting the signal cancels both the fetch and the stream read. Token usage
+// is filled into the usage object as it arrives, so callers still have it
+// if the stream is stopped. Resolves to { text, usage, signals }.
+async function callProviderStream(settings, target, request, { onChunk, signal, usage = {} } = {}) {
+  const { provider, url, init } = buildProviderRequest(settings, target, request, { stream: true, signal });
+  
+  const response = await fetchProvider(url, init, provider);
+  
+  if (!response.ok) {
+    await throwProviderError(response, provider);
+  }
+  
+  // Stream the response (server-sent events)
+  const reader = response.body.getReader();
   const decoder = new TextDecoder();
   let buffer = '';
   let fullResponse = '';
+  const signals = { finishReason: null, logprobs: [] };
   
   try {
     while (true) {
@@ -339,30 +1635,36 @@ async function callOpenAIStream(text, contentType, imageData = null, conversatio
       buffer = lines.pop() || '';
       
       for (const line of lines) {
-        if (line.startsWith('data: ')) {
-          const data = line.slice(6);
-          if (data === '[DONE]') {
-            // Send final message
-            chrome.tabs.sendMessage(tabId, {
-              action: 'streamComplete',
-              fullResponse: fullResponse
-            });
-            return fullResponse;
-          }
-          
-          try {
-            const json = JSON.parse(data);
-            const delta = json.choices[0]?.delta?.content || '';
-            if (delta) {
-              fullResponse += delta;
-              chrome.tabs.sendMessage(tabId, {
-                action: 'streamChunk',
-                chunk: delta
-              });
-            }
-          } catch (e) {
-            // Skip invalid JSON
-          }
+        if (!line.startsWith('data:')) continue;
+        
+        const data = line.slice(5).trim();
+        if (data === '[DONE]') {
+          return { text: fullResponse, usage, signals };
+        }
+        
+        let event;
+        try {
+          event = provider.parseStreamEvent(JSON.parse(data));
+        } catch (e) {
+          // Skip invalid JSON
+          continue;
+        }
+        
+        if (event.usage) {
+          Object.assign(usage, event.usage);
+        }
+        if (event.finishReason) {
+          signals.finishReason = event.finishReason;
+        }
+        if (event.logprobs) {
+          signals.logprobs.push(...event.logprobs);
+        }
+        if (event.delta) {
+          fullResponse += event.delta;
+          onChunk(event.delta);
+        }
+        if (event.done) {
+          return { text: fullResponse, usage, signals };
         }
       }
     }
@@ -370,384 +1672,1241 @@ async function callOpenAIStream(text, contentType, imageData = null, conversatio
     reader.releaseLock();
   }
   
-  return fullResponse;
+  return { text: fullResponse, usage, signals };
 }
 
-// Call Claude API
-async function callClaude(text, contentType, imageData = null, conversationContext = []) {
-  const settings = await getSettings();
-  const apiKey = settings.claudeKey;
-  const model = settings.model || 'claude-sonnet-4-6';
-  
-  if (!apiKey) {
-    throw new Error('Claude API key not configured');
-  }
-  
-  const { systemPrompt, userPrompt } = buildPrompt(text, contentType, !!imageData);
-  const temperature = getTemperature(contentType);
-  
-  const messages = [];
-  
-  // Add conversation context (previous messages)
-  if (conversationContext && conversationContext.length > 0) {
-    conversationContext.forEach(msg => {
-      if (msg.role === 'user') {
-        if (msg.imageData) {
-          messages.push({
-            role: 'user',
-            content: [
-              { type: 'text', text: msg.text },
-              {
-                type: 'image',
-                source: {
-                  type: 'base64',
-                  media_type: 'image/png',
-                  data: msg.imageData.split(',')[1] || msg.imageData
-                }
-              }
-            ]
-          });
-        } else {
-          messages.push({
-            role: 'user',
-            content: msg.text
-          });
-        }
-      } else if (msg.role === 'assistant') {
-        messages.push({
-          role: 'assistant',
-          content: msg.text
-        });
+// Retry policy for provider calls
+const RETRY_CONFIG = {
+  maxAttempts: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 20000,
+  // Give up rather than wait if the provider asks for longer than this
+  maxRetryAfterMs: 60000
+};
+
+// Run a provider call, retrying retryable errors with exponential backoff
+// and jitter. onRetry is told about each retry before we wait for it.
+async function withRetries(call, { signal, onRetry } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await call();
+    } catch (error) {
+      const canRetry = error instanceof ProviderError && error.retryable &&
+        attempt < RETRY_CONFIG.maxAttempts && !signal?.aborted;
+      if (!canRetry) {
+        throw error;
       }
-    });
+      
+      const delayMs = getRetryDelay(attempt, error.retryAfterMs);
+      if (delayMs === null) {
+        throw error;
+      }
+      
+      if (onRetry) {
+        onRetry({ attempt: attempt + 1, maxAttempts: RETRY_CONFIG.maxAttempts, delayMs, error });
+      }
+      await sleep(delayMs, signal);
+    }
   }
+}
+
+// Self-consistency: ask for request.samples answers in parallel at a
+// non-zero temperature and keep the answer most of them agree on. Failed
+// samples are left out of the vote; it only fails when every sample does.
+// onSample(done, total) is told as samples settle, and the tokens of every
+// sample are added to usage. Resolves like callProvider, with the text and
+// signals of a sample that gave the majority answer and
+// consistency: { answer, votes, samples, agreement, alternatives }.
+async function sampleAnswers(settings, target, request, { signal, onRetry, onSample, usage = {} } = {}) {
+  const total = request.samples;
+  let done = 0;
+  if (onSample) onSample(done, total);
   
-  // Add current user message
-  if (imageData) {
-    messages.push({
-      role: 'user',
-      content: [
-        { type: 'text', text: userPrompt || text },
-        {
-          type: 'image',
-          source: {
-            type: 'base64',
-            media_type: 'image/png',
-            data: imageData.split(',')[1] || imageData
-          }
-        }
-      ]
-    });
-  } else {
-    messages.push({
-      role: 'user',
-      content: userPrompt || text
-    });
+  const results = await Promise.allSettled(Array.from({ length: total }, () =>
+    withRetries(() => callProvider(settings, target, request, { signal }), { signal, onRetry })
+      .then((result) => {
+        usage.inputTokens = (usage.inputTokens || 0) + (result.usage.inputTokens || 0);
+        usage.outputTokens = (usage.outputTokens || 0) + (result.usage.outputTokens || 0);
+        return result;
+      })
+      .finally(() => {
+        done++;
+        if (onSample) onSample(done, total);
+      })
+  ));
+  const samples = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+  if (samples.length === 0) {
+    throw results[0].reason;
   }
   
-  const response = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': apiKey,
-      'anthropic-version': '2023-06-01',
-      'anthropic-dangerous-direct-browser-access': 'true'
-    },
-    body: JSON.stringify({
-      model: model,
-      system: systemPrompt,
-      messages: messages,
-      temperature: temperature,
-      max_tokens: 2000
-    })
+  // Group samples by the value of their final answer ("1/2", "0.5" and
+  // "\frac{1}{2}" are one answer), in order of first appearance
+  const multipleChoice = request.contentType.category === 'multiple-choice';
+  const groups = new Map();
+  samples.forEach((sample) => {
+    const answer = request.structured ? parseStructuredAnswer(sample.text) : null;
+    const finalAnswer = answer ? answer.finalAnswer : extractFinalAnswer(sample.text);
+    const key = finalAnswer ? getAnswerKey(finalAnswer, { multipleChoice }) : '';
+    if (!groups.has(key)) {
+      groups.set(key, {
+        answer: finalAnswer,
+        votes: 0,
+        sample,
+        response: answer ? formatStructuredAnswer(answer) : sample.text
+      });
+    }
+    groups.get(key).votes++;
   });
   
-  if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error?.message || 'Claude API error');
-  }
+  // Samples without a final answer never win the vote
+  const ranked = [...groups.entries()]
+    .sort(([keyA, a], [keyB, b]) => (!keyA - !keyB) || b.votes - a.votes)
+    .map(([, group]) => group);
+  const majority = ranked[0];
   
-  const data = await response.json();
-  return data.content[0].text;
+  return {
+    text: majority.sample.text,
+    usage,
+    signals: majority.sample.signals,
+    consistency: {
+      answer: majority.answer,
+      votes: majority.votes,
+      samples: samples.length,
+      agreement: majority.answer ? majority.votes / samples.length : 0,
+      alternatives: ranked.slice(1).map(({ answer, votes, response }) => ({ answer, votes, response }))
+    }
+  };
 }
 
-// Call Claude API with streaming
-async function callClaudeStream(text, contentType, imageData = null, conversationContext = [], tabId) {
-  const settings = await getSettings();
-  const apiKey = settings.claudeKey;
-  const model = settings.model || 'claude-sonnet-4-6';
-  
-  if (!apiKey) {
-    throw new Error('Claude API key not configured');
+// Delay before the next attempt: Retry-After if given, else exponential
+// backoff with equal jitter. Returns null if the wait is too long.
+function getRetryDelay(attempt, retryAfterMs) {
+  if (retryAfterMs !== null && retryAfterMs !== undefined) {
+    return retryAfterMs > RETRY_CONFIG.maxRetryAfterMs ? null : retryAfterMs;
   }
+  const backoff = Math.min(RETRY_CONFIG.maxDelayMs, RETRY_CONFIG.baseDelayMs * 2 ** (attempt - 1));
+  return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+// Wait, waking early (with an AbortError) if the signal is aborted
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Aborted', 'AbortError'));
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new DOMException('Aborted', 'AbortError'));
+    }, { once: true });
+  });
+}
+
+// Record a retry attempt in the usage history
+function trackRetry(target, { attempt, maxAttempts, delayMs, error }) {
+  trackUsage({
+    provider: target.provider,
+    model: target.model,
+    retry: true,
+    attempt,
+    maxAttempts,
+    delayMs: Math.round(delayMs),
+    status: error.status,
+    error: error.message
+  });
+}
+
+// Record a failed hop in the fallback chain in the usage history
+function trackFallback({ from, to, error, errorClass }) {
+  trackUsage({
+    provider: from.provider,
+    model: from.model,
+    fallback: true,
+    fallbackTo: to.model,
+    errorClass,
+    status: error.status,
+    error: error.message
+  });
+}
+
+// Sort a provider failure into the classes the fallback chain can act on
+function classifyProviderError(error) {
+  if (error instanceof BudgetError) {
+    return 'budget';
+  }
+  if (!(error instanceof ProviderError)) {
+    return 'other';
+  }
+  if (error.code === 'not_configured' || error.status === 401 || error.status === 403) {
+    return 'auth';
+  }
+  if (NON_RETRYABLE_ERROR_CODES.includes(error.code)) {
+    return 'quota';
+  }
+  if (error.status === 429) {
+    return 'rate_limit';
+  }
+  if (error.code === 'network' || error.status >= 500) {
+    return 'outage';
+  }
+  return 'other';
+}
+
+// Walk the provider targets in order until one answers. call(target) does
+// the work; we only move on for the error classes the user opted into, and
+// only while canFallback() allows it (e.g. nothing has been streamed yet).
+async function callWithFallback(settings, call, { signal, canFallback = () => true, onFallback } = {}) {
+  const targets = getProviderTargets(settings);
+  const fallbackOn = settings.fallbackOn || DEFAULT_SETTINGS.fallbackOn;
   
-  const { systemPrompt, userPrompt } = buildPrompt(text, contentType, !!imageData);
-  const temperature = getTemperature(contentType);
-  
-  const messages = [];
-  
-  // Add conversation context
-  if (conversationContext && conversationContext.length > 0) {
-    conversationContext.forEach(msg => {
-      if (msg.role === 'user') {
-        if (msg.imageData) {
-          messages.push({
-            role: 'user',
-            content: [
-              { type: 'text', text: msg.text },
-              {
-                type: 'image',
-                source: {
-                  type: 'base64',
-                  media_type: 'image/png',
-                  data: msg.imageData.split(',')[1] || msg.imageData
-                }
-              }
-            ]
-          });
-        } else {
-          messages.push({
-            role: 'user',
-            content: msg.text
-          });
-        }
-      } else if (msg.role === 'assistant') {
-        messages.push({
-          role: 'assistant',
-          content: msg.text
-        });
+  for (let i = 0; ; i++) {
+    const target = targets[i];
+    try {
+      const result = await call(target);
+      return { result, target, fallbackFrom: i > 0 ? targets[0] : null };
+    } catch (error) {
+      const next = targets[i + 1];
+      const errorClass = classifyProviderError(error);
+      // A provider over its budget always hands over to the next one
+      const shouldFallback = errorClass === 'budget' || fallbackOn.includes(errorClass);
+      if (!next || signal?.aborted || !canFallback() || !shouldFallback) {
+        error.target = target;
+        throw error;
       }
-    });
+      if (onFallback) {
+        onFallback({ from: target, to: next, error, errorClass });
+      }
+    }
   }
-  
-  // Add current user message
-  if (imageData) {
-    messages.push({
-      role: 'user',
-      content: [
-        { type: 'text', text: userPrompt || text },
-        {
-          type: 'image',
-          source: {
-            type: 'base64',
-            media_type: 'image/png',
-            data: imageData.split(',')[1] || imageData
-          }
-        }
-      ]
-    });
-  } else {
-    messages.push({
-      role: 'user',
-      content: userPrompt || text
-    });
+}
+
+// Token counts and cost for a request, ready to spread into trackUsage data
+function getUsageCost(settings, model, usage = {}) {
+  const inputTokens = usage.inputTokens || 0;
+  const outputTokens = usage.outputTokens || 0;
+  const price = (settings.modelPrices || {})[model] || DEFAULT_MODEL_PRICES[model];
+  const cost = price
+    ? (inputTokens * price.input + outputTokens * price.output) / 1000000
+    : 0;
+  return { inputTokens, outputTokens, cost };
+}
+
+// Local calendar day (YYYY-MM-DD) for per-day totals
+function getDayKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Raised instead of calling a provider whose hard spending limit is reached
+class BudgetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BudgetError';
   }
-  
-  const response = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': apiKey,
-      'anthropic-version': '2023-06-01',
-      'anthropic-dangerous-direct-browser-access': 'true'
-    },
-    body: JSON.stringify({
-      model: model,
-      system: systemPrompt,
-      messages: messages,
-      temperature: temperature,
-      max_tokens: 2000,
-      stream: true
-    })
+}
+
+// Read usage totals from storage, after any updates still being written
+// (budgets must see every request counted so far)
+function getUsage() {
+  return usageUpdate.then(() => new Promise((resolve) => {
+    chrome.storage.local.get(['usage'], (result) => {
+      resolve(result.usage || {});
+    });
+  }));
+}
+
+// Spend today and this month, overall or for one provider
+function getSpend(usage, providerId = null) {
+  const byDay = providerId
+    ? (usage.costByProviderDay || {})[providerId] || {}
+    : usage.costByDay || {};
+  const today = getDayKey(Date.now());
+  const month = today.slice(0, 7);
+  
+  let monthly = 0;
+  Object.entries(byDay).forEach(([day, cost]) => {
+    if (day.startsWith(month)) {
+      monthly += cost;
+    }
   });
+  return { daily: byDay[today] || 0, monthly };
+}
+
+// Check a provider against the global and per-provider budgets.
+// Returns { level: 'ok' | 'soft' | 'hard', message }.
+function checkBudget(settings, usage, providerId) {
+  const budgets = settings.budgets || DEFAULT_SETTINGS.budgets;
+  const softRatio = (budgets.softPercent || 80) / 100;
+  const scopes = [
+    { label: 'Overall', limits: budgets.global || {}, spend: getSpend(usage) },
+    { label: getProvider(providerId).name, limits: (budgets.providers || {})[providerId] || {}, spend: getSpend(usage, providerId) }
+  ];
   
-  if (!response.ok) {
-    const error = await response.json().catch(() => ({ error: { message: 'Claude API error' } }));
-    throw new Error(error.error?.message || 'Claude API error');
+  let result = { level: 'ok', message: '' };
+  for (const scope of scopes) {
+    for (const period of ['daily', 'monthly']) {
+      const limit = scope.limits[period];
+      if (!limit) continue;
+      
+      const spent = scope.spend[period];
+      const amounts = `$${spent.toFixed(2)} of $${limit.toFixed(2)}`;
+      if (spent >= limit) {
+        return { level: 'hard', message: `${scope.label} ${period} budget reached (${amounts} spent).` };
+      }
+      if (spent >= limit * softRatio && result.level === 'ok') {
+        const percent = Math.round((spent / limit) * 100);
+        result = { level: 'soft', message: `${scope.label} ${period} budget ${percent}% used (${amounts}).` };
+      }
+    }
+  }
+  return result;
+}
+
+// Throw if a target's provider is over a hard limit (unless overridden once);
+// report soft-limit warnings through onWarning
+function enforceBudget(settings, usage, target, { override = false, onWarning } = {}) {
+  const budget = checkBudget(settings, usage, target.provider);
+  if (budget.level === 'hard' && !override) {
+    throw new BudgetError(budget.message);
+  }
+  if (budget.level !== 'ok' && onWarning) {
+    onWarning(budget.message);
+  }
+}
+
+// Response cache
+// Answers to first questions (no conversation context) are kept in IndexedDB,
+// keyed on the normalized text, image, target model and prompt, so asking the
+// same thing again skips the provider entirely. Answers from a fallback model
+// are not cached, since the key names the primary one.
+const CACHE_DB_NAME = 'cps-response-cache';
+const CACHE_STORE = 'responses';
+let cacheDbPromise = null;
+
+// Open (and on first use create) the cache database
+function openCacheDb() {
+  if (!cacheDbPromise) {
+    cacheDbPromise = new Promise((resolve, reject) => {
+      const open = indexedDB.open(CACHE_DB_NAME, 1);
+      open.onupgradeneeded = () => {
+        const store = open.result.createObjectStore(CACHE_STORE, { keyPath: 'key' });
+        store.createIndex('createdAt', 'createdAt');
+      };
+      open.onsuccess = () => resolve(open.result);
+      open.onerror = () => {
+        cacheDbPromise = null;
+        reject(open.error);
+      };
+    });
   }
+  return cacheDbPromise;
+}
+
+// Run one operation against the cache store and resolve with its result
+async function withCacheStore(mode, operation) {
+  const db = await openCacheDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(CACHE_STORE, mode);
+    const request = operation(transaction.objectStore(CACHE_STORE));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+function getCacheSettings(settings) {
+  return { ...DEFAULT_SETTINGS.cache, ...settings.cache };
+}
+
+// Hex SHA-256 of a string
+async function hashString(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Cache key for a request, or null when the request should not be cached.
+// The prompt variant is the prompts buildPrompt produces, so changing how a
+// content type is prompted (or editing its template) never serves answers
+// written for the old prompt.
+async function getCacheKey(settings, request, isFollowUp) {
+  if (!getCacheSettings(settings).enabled || isFollowUp) return null;
+  if (request.conversationContext && request.conversationContext.length > 0) return null;
   
-  // Stream the response
-  const reader = response.body.getReader();
-  const decoder = new TextDecoder();
-  let buffer = '';
-  let fullResponse = '';
+  const normalizedText = (request.text || '').trim().replace(/\s+/g, ' ');
+  const imageHash = request.imageData ? await hashString(request.imageData) : '';
+  const { systemPrompt, userPrompt } = buildPrompt(normalizedText, request.contentType, !!request.imageData, request);
   
+  return hashString(JSON.stringify([
+    settings.provider,
+    getActiveModel(settings),
+    await hashString(`${systemPrompt}\n${userPrompt}`),
+    request.samples || 1,
+    normalizedText,
+    imageHash
+  ]));
+}
+
+// Look up a cached answer; expired entries count as misses
+async function getCachedResponse(settings, key) {
   try {
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-      
-      buffer += decoder.decode(value, { stream: true });
-      const lines = buffer.split('\n');
-      buffer = lines.pop() || '';
-      
-      for (const line of lines) {
-        if (line.startsWith('data: ')) {
-          const data = line.slice(6);
-          if (data === '[DONE]') {
-            chrome.tabs.sendMessage(tabId, {
-              action: 'streamComplete',
-              fullResponse: fullResponse
-            });
-            return fullResponse;
-          }
-          
-          try {
-            const json = JSON.parse(data);
-            if (json.type === 'content_block_delta' && json.delta?.text) {
-              const delta = json.delta.text;
-              fullResponse += delta;
-              chrome.tabs.sendMessage(tabId, {
-                action: 'streamChunk',
-                chunk: delta
-              });
-            } else if (json.type === 'message_stop') {
-              chrome.tabs.sendMessage(tabId, {
-                action: 'streamComplete',
-                fullResponse: fullResponse
-              });
-              return fullResponse;
-            }
-          } catch (e) {
-            // Skip invalid JSON
-          }
-        }
-      }
+    const entry = await withCacheStore('readonly', store => store.get(key));
+    const ttlMs = getCacheSettings(settings).ttlHours * 60 * 60 * 1000;
+    if (!entry || Date.now() - entry.createdAt > ttlMs) {
+      return null;
     }
-  } finally {
-    reader.releaseLock();
+    return entry;
+  } catch (error) {
+    // A broken cache should never block an analysis
+    console.warn('Response cache unavailable:', error);
+    return null;
   }
-  
-  return fullResponse;
+}
+
+// Store an answer, then evict the oldest entries beyond the size cap
+async function putCachedResponse(settings, entry) {
+  const { maxEntries } = getCacheSettings(settings);
+  try {
+    await withCacheStore('readwrite', store => store.put({ ...entry, createdAt: Date.now() }));
+    await withCacheStore('readwrite', (store) => {
+      const countRequest = store.count();
+      countRequest.onsuccess = () => {
+        let excess = countRequest.result - maxEntries;
+        if (excess <= 0) return;
+        store.index('createdAt').openCursor().onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor || excess <= 0) return;
+          cursor.delete();
+          excess--;
+          cursor.continue();
+        };
+      };
+    });
+  } catch (error) {
+    console.warn('Could not write to response cache:', error);
+  }
+}
+
+function clearResponseCache() {
+  return withCacheStore('readwrite', store => store.clear());
 }
 
 // Handle analysis request
 async function handleAnalysis(data, sendResponse) {
+  const { settings, quickAction } = await getRequestSettings(data);
+  let cacheKey = null;
+  let contentType = null;
+  
   try {
     const startTime = Date.now();
-    const settings = await getSettings();
     const { text, imageData, conversationContext, isFollowUp } = data;
     
     // Analyze content type (only for first message, follow-ups use general)
-    const contentType = isFollowUp 
-      ? { isMath: false, isCode: false, isQuestion: true, isFillBlank: false, isCommand: false, isStatement: false, isLongText: false, wordCount: (text || '').split(/\s+/).length }
-      : analyzeContentType(text || '');
-    
-    // Call appropriate API with conversation context
-    let response;
-    if (settings.provider === 'openai') {
-      response = await callOpenAI(text, contentType, imageData, conversationContext);
-    } else {
-      response = await callClaude(text, contentType, imageData, conversationContext);
+    const variables = getPromptVariables(data, settings);
+    contentType = classifyRequest(data, quickAction, variables);
+    
+    const request = {
+      text,
+      contentType,
+      imageData,
+      conversationContext,
+      templates: await getPromptTemplates(),
+      variables,
+      quickAction,
+      structured: isStructuredRequest(settings, contentType, data, quickAction),
+      samples: getSampleCount(settings, contentType, data, quickAction)
+    };
+    if (request.samples > 1) {
+      request.temperature = getSelfConsistency(settings).temperature;
     }
     
+    // Serve repeated questions from the cache unless asked to refresh. Hits
+    // are free on purpose: nothing is sent to a provider, so they are served
+    // even over budget and only counted as hits, never as spend.
+    cacheKey = await getCacheKey(settings, request, isFollowUp);
+    const cached = cacheKey && !data.bypassCache ? await getCachedResponse(settings, cacheKey) : null;
+    if (cached) {
+      trackUsage({
+        provider: cached.provider,
+        model: cached.model,
+        responseTime: Date.now() - startTime,
+        success: true,
+        cache: 'hit',
+        contentType: contentType.category
+      });
+      sendResponse({
+        success: true,
+        response: cached.response,
+        confidence: cached.confidence,
+        responseTime: Date.now() - startTime,
+        provider: cached.provider,
+        model: cached.model,
+        modelName: getModelDisplayName(cached.model),
+        fallback: false,
+        cached: true,
+        category: contentType.category,
+        categories: contentType.ranked,
+        choice: extractChoice(cached.response, contentType),
+        structured: cached.structured || null,
+        consistency: cached.consistency || null,
+        verification: cached.verification || null,
+        secondOpinion: getSecondOpinionOffer(settings, contentType, data, cached.provider)
+      });
+      return;
+    }
+    
+    const usage = await getUsage();
+    let budgetWarning = null;
+    let contextNotice = null;
+    
+    // Call the provider chain with conversation context
+    const { result, target, fallbackFrom } = await callWithFallback(
+      settings,
+      (target) => {
+        enforceBudget(settings, usage, target, {
+          override: data.overrideBudget,
+          onWarning: (message) => { budgetWarning = message; }
+        });
+        const fitted = fitConversationContext(request, target.model);
+        contextNotice = fitted.condensed ? describeCondensedContext(fitted.condensed) : null;
+        const onRetry = (retry) => trackRetry(target, retry);
+        if (request.samples > 1) {
+          return sampleAnswers(settings, target, fitted.request, { onRetry });
+        }
+        return withRetries(
+          () => callProvider(settings, target, fitted.request),
+          { onRetry }
+        );
+      },
+      { onFallback: trackFallback }
+    );
+    const answer = request.structured ? parseStructuredAnswer(result.text) : null;
+    const response = answer ? formatStructuredAnswer(answer) : result.text;
+    
     const responseTime = Date.now() - startTime;
     
-    // Calculate confidence (simplified - could be enhanced)
-    const confidence = calculateConfidence(response, contentType);
+    // Sampled answers are as sure as the samples agree; math answers are
+    // also checked locally
+    const consistency = result.consistency || null;
+    const verification = verifyAnswer(request, answer, response);
+    const confidence = applyVerification(consistency
+      ? Math.round(consistency.agreement * 100)
+      : estimateConfidence(response, contentType, answer, result.signals), verification);
     
     // Track usage
     trackUsage({
-      provider: settings.provider,
-      model: settings.model,
+      provider: target.provider,
+      model: target.model,
+      fallbackFrom: fallbackFrom?.model,
       responseTime,
       success: true,
-      contentType: contentType.isMath ? 'math' : contentType.isCode ? 'code' : 'text'
+      cache: cacheKey ? 'miss' : undefined,
+      contentType: contentType.category,
+      samples: consistency?.samples,
+      ...getUsageCost(settings, target.model, result.usage)
     });
     
+    // The key names the primary model, so only its own answers are cached
+    if (cacheKey && !fallbackFrom) {
+      putCachedResponse(settings, {
+        key: cacheKey,
+        response,
+        confidence,
+        provider: target.provider,
+        model: target.model,
+        structured: answer,
+        consistency,
+        verification
+      });
+    }
+    
     sendResponse({
       success: true,
       response: response,
       confidence: confidence,
-      responseTime: responseTime
+      responseTime: responseTime,
+      provider: target.provider,
+      model: target.model,
+      modelName: getModelDisplayName(target.model),
+      fallback: !!fallbackFrom,
+      budgetWarning: budgetWarning,
+      contextNotice: contextNotice,
+      category: contentType.category,
+      categories: contentType.ranked,
+      choice: extractChoice(response, contentType),
+      structured: answer,
+      consistency: consistency,
+      verification: verification,
+      secondOpinion: getSecondOpinionOffer(settings, contentType, data, target.provider)
     });
   } catch (error) {
-    const settings = await getSettings();
-    trackUsage({
-      provider: settings.provider,
-      model: settings.model,
-      success: false,
-      error: error.message
-    });
+    // Budget blocks never reached a provider, so there is nothing to track
+    if (!(error instanceof BudgetError)) {
+      const target = error.target || { provider: settings.provider, model: getActiveModel(settings) };
+      trackUsage({
+        provider: target.provider,
+        model: target.model,
+        success: false,
+        cache: cacheKey ? 'miss' : undefined,
+        contentType: contentType?.category,
+        error: error.message
+      });
+    }
     
     sendResponse({
       success: false,
-      error: error.message
+      error: error.message,
+      budgetExceeded: error instanceof BudgetError
     });
   }
 }
 
-// Handle streaming analysis request
-async function handleAnalysisStream(data, tabId) {
+// Handle streaming analysis request; results go back over the analysis port
+async function handleAnalysisStream(data, port, signal) {
+  const startTime = Date.now();
+  const { settings, quickAction } = await getRequestSettings(data);
+  let contentType = null;
+  let cacheKey = null;
+  let currentTarget = null;
+  let currentUsage = {};
+  let hasStreamed = false;
+  
   try {
-    const startTime = Date.now();
-    const settings = await getSettings();
     const { text, imageData, conversationContext, isFollowUp } = data;
     
     // Analyze content type
-    const contentType = isFollowUp 
-      ? { isMath: false, isCode: false, isQuestion: true, isFillBlank: false, isCommand: false, isStatement: false, isLongText: false, wordCount: (text || '').split(/\s+/).length }
-      : analyzeContentType(text || '');
-    
-    // Call appropriate API with streaming
-    let fullResponse;
-    if (settings.provider === 'openai') {
-      fullResponse = await callOpenAIStream(text, contentType, imageData, conversationContext, tabId);
-    } else {
-      fullResponse = await callClaudeStream(text, contentType, imageData, conversationContext, tabId);
+    const variables = getPromptVariables(data, settings);
+    contentType = classifyRequest(data, quickAction, variables);
+    
+    const request = {
+      text,
+      contentType,
+      imageData,
+      conversationContext,
+      templates: await getPromptTemplates(),
+      variables,
+      quickAction,
+      structured: isStructuredRequest(settings, contentType, data, quickAction),
+      samples: getSampleCount(settings, contentType, data, quickAction)
+    };
+    if (request.samples > 1) {
+      request.temperature = getSelfConsistency(settings).temperature;
+    }
+    
+    // Serve repeated questions from the cache unless asked to refresh (hits
+    // skip the budget check on purpose, see handleAnalysis)
+    cacheKey = await getCacheKey(settings, request, isFollowUp);
+    const cached = cacheKey && !data.bypassCache ? await getCachedResponse(settings, cacheKey) : null;
+    if (cached) {
+      trackUsage({
+        provider: cached.provider,
+        model: cached.model,
+        responseTime: Date.now() - startTime,
+        success: true,
+        cache: 'hit',
+        contentType: contentType.category
+      });
+      postToPort(port, {
+        action: 'streamFinal',
+        confidence: cached.confidence,
+        responseTime: Date.now() - startTime,
+        fullResponse: cached.response,
+        provider: cached.provider,
+        model: cached.model,
+        modelName: getModelDisplayName(cached.model),
+        fallback: false,
+        cached: true,
+        category: contentType.category,
+        categories: contentType.ranked,
+        choice: extractChoice(cached.response, contentType),
+        structured: cached.structured || null,
+        consistency: cached.consistency || null,
+        verification: cached.verification || null,
+        secondOpinion: getSecondOpinionOffer(settings, contentType, data, cached.provider)
+      });
+      return;
     }
     
+    const usage = await getUsage();
+    let budgetWarned = false;
+    let contextNotice = null;
+    
+    // Call the provider chain with streaming. Failures are only retried or
+    // handed to the next model before the first chunk arrives.
+    const { result, target, fallbackFrom } = await callWithFallback(
+      settings,
+      (target) => {
+        currentTarget = target;
+        enforceBudget(settings, usage, target, {
+          override: data.overrideBudget,
+          onWarning: (message) => {
+            if (budgetWarned) return;
+            budgetWarned = true;
+            postToPort(port, {
+              action: 'streamBudgetWarning',
+              message: message
+            });
+          }
+        });
+        
+        // Each model in the chain has its own context budget
+        const fitted = fitConversationContext(request, target.model);
+        const notice = fitted.condensed ? describeCondensedContext(fitted.condensed) : null;
+        if (notice && notice !== contextNotice) {
+          postToPort(port, {
+            action: 'streamContextCondensed',
+            message: notice
+          });
+        }
+        contextNotice = notice;
+        
+        const onRetry = (retry) => {
+          trackRetry(target, retry);
+          postToPort(port, {
+            action: 'streamRetry',
+            attempt: retry.attempt,
+            maxAttempts: retry.maxAttempts,
+            delayMs: retry.delayMs,
+            error: retry.error.message
+          });
+        };
+        
+        // Samples are collected whole; only their progress is streamed
+        if (request.samples > 1) {
+          currentUsage = {};
+          return sampleAnswers(settings, target, fitted.request, {
+            signal,
+            onRetry,
+            onSample: (done, total) => {
+              postToPort(port, {
+                action: 'streamSampling',
+                done: done,
+                total: total
+              });
+            },
+            usage: currentUsage
+          });
+        }
+        
+        return withRetries(
+          () => {
+            currentUsage = {};
+            let rawResponse = '';
+            return callProviderStream(settings, target, fitted.request, {
+              onChunk: (chunk) => {
+                hasStreamed = true;
+                if (!request.structured) {
+                  postToPort(port, {
+                    action: 'streamChunk',
+                    chunk: chunk
+                  });
+                  return;
+                }
+                // Structured answers arrive as JSON; send what can be read of it so far
+                rawResponse += chunk;
+                const answer = parseStructuredAnswer(rawResponse);
+                postToPort(port, {
+                  action: 'streamStructured',
+                  answer: answer,
+                  text: answer ? formatStructuredAnswer(answer) : rawResponse
+                });
+              },
+              signal,
+              usage: currentUsage
+            });
+          },
+          { signal, onRetry }
+        );
+      },
+      {
+        signal,
+        canFallback: () => !hasStreamed,
+        onFallback: (fallback) => {
+          trackFallback(fallback);
+          postToPort(port, {
+            action: 'streamFallback',
+            from: getModelDisplayName(fallback.from.model),
+            to: getModelDisplayName(fallback.to.model),
+            error: fallback.error.message
+          });
+        }
+      }
+    );
+    
+    const answer = request.structured ? parseStructuredAnswer(result.text) : null;
+    const fullResponse = answer ? formatStructuredAnswer(answer) : result.text;
     const responseTime = Date.now() - startTime;
-    const confidence = calculateConfidence(fullResponse, contentType);
+    const consistency = result.consistency || null;
+    const verification = verifyAnswer(request, answer, fullResponse);
+    const confidence = applyVerification(consistency
+      ? Math.round(consistency.agreement * 100)
+      : estimateConfidence(fullResponse, contentType, answer, result.signals), verification);
     
     // Track usage
     trackUsage({
-      provider: settings.provider,
-      model: settings.model,
+      provider: target.provider,
+      model: target.model,
+      fallbackFrom: fallbackFrom?.model,
       responseTime,
       success: true,
-      contentType: contentType.isMath ? 'math' : contentType.isCode ? 'code' : 'text'
+      cache: cacheKey ? 'miss' : undefined,
+      contentType: contentType.category,
+      samples: consistency?.samples,
+      ...getUsageCost(settings, target.model, result.usage)
     });
     
-    // Send final response with confidence
-    chrome.tabs.sendMessage(tabId, {
+    if (cacheKey && !fallbackFrom) {
+      putCachedResponse(settings, {
+        key: cacheKey,
+        response: fullResponse,
+        confidence,
+        provider: target.provider,
+        model: target.model,
+        structured: answer,
+        consistency,
+        verification
+      });
+    }
+    
+    // Send final response with confidence and the model that answered
+    postToPort(port, {
       action: 'streamFinal',
       confidence: confidence,
       responseTime: responseTime,
-      fullResponse: fullResponse
+      fullResponse: fullResponse,
+      provider: target.provider,
+      model: target.model,
+      modelName: getModelDisplayName(target.model),
+      fallback: !!fallbackFrom,
+      contextNotice: contextNotice,
+      category: contentType.category,
+      categories: contentType.ranked,
+      choice: extractChoice(fullResponse, contentType),
+      structured: answer,
+      consistency: consistency,
+      verification: verification,
+      secondOpinion: getSecondOpinionOffer(settings, contentType, data, target.provider)
     });
   } catch (error) {
-    const settings = await getSettings();
+    const target = error.target || currentTarget || { provider: settings.provider, model: getActiveModel(settings) };
+    
+    // Stopped by the user: the overlay keeps the partial text, we only record it
+    if (signal.aborted) {
+      trackUsage({
+        provider: target.provider,
+        model: target.model,
+        responseTime: Date.now() - startTime,
+        cancelled: true,
+        cache: cacheKey ? 'miss' : undefined,
+        contentType: contentType?.category,
+        // Tokens reported before the stop are still billed
+        ...getUsageCost(settings, target.model, currentUsage)
+      });
+      return;
+    }
+    
+    // Budget blocks never reached a provider, so there is nothing to track
+    if (!(error instanceof BudgetError)) {
+      trackUsage({
+        provider: target.provider,
+        model: target.model,
+        success: false,
+        cache: cacheKey ? 'miss' : undefined,
+        contentType: contentType?.category,
+        error: error.message
+      });
+    }
+    
+    postToPort(port, {
+      action: 'streamError',
+      error: error.message,
+      budgetExceeded: error instanceof BudgetError
+    });
+  }
+}
+
+// Ask another provider's model the same question as a first answer, and
+// compare the two final answers. data is what the first answer was asked
+// with (its category included, so both get the same prompt) plus
+// answer: { text, structured, confidence, provider } of the first answer.
+async function handleSecondOpinion(data, sendResponse) {
+  const { settings, quickAction } = await getRequestSettings(data);
+  const startTime = Date.now();
+  let target = null;
+  let contentType = null;
+  
+  try {
+    target = getSecondOpinionTarget(settings, data.answer.provider);
+    if (!target) {
+      throw new Error('A second opinion needs an API key for another provider');
+    }
+    
+    const variables = getPromptVariables(data, settings);
+    contentType = classifyRequest(data, quickAction, variables);
+    const request = {
+      text: data.text,
+      contentType,
+      imageData: data.imageData,
+      conversationContext: [],
+      templates: await getPromptTemplates(),
+      variables,
+      quickAction,
+      structured: isStructuredRequest(settings, contentType, data, quickAction)
+    };
+    
+    enforceBudget(settings, await getUsage(), target, { override: data.overrideBudget });
+    const result = await withRetries(
+      () => callProvider(settings, target, request),
+      { onRetry: (retry) => trackRetry(target, retry) }
+    );
+    const answer = request.structured ? parseStructuredAnswer(result.text) : null;
+    const response = answer ? formatStructuredAnswer(answer) : result.text;
+    
+    const primaryAnswer = data.answer.structured?.finalAnswer || extractFinalAnswer(data.answer.text || '');
+    const finalAnswer = answer ? answer.finalAnswer : extractFinalAnswer(response);
+    const agreement = compareFinalAnswers(primaryAnswer, finalAnswer, contentType.category === 'multiple-choice');
+    
     trackUsage({
-      provider: settings.provider,
-      model: settings.model,
-      success: false,
-      error: error.message
+      provider: target.provider,
+      model: target.model,
+      responseTime: Date.now() - startTime,
+      success: true,
+      secondOpinion: agreement,
+      contentType: contentType.category,
+      ...getUsageCost(settings, target.model, result.usage)
     });
     
-    chrome.tabs.sendMessage(tabId, {
-      action: 'streamError',
-      error: error.message
+    sendResponse({
+      success: true,
+      response,
+      structured: answer,
+      provider: target.provider,
+      model: target.model,
+      modelName: getModelDisplayName(target.model),
+      primaryAnswer,
+      finalAnswer,
+      agreement,
+      confidence: combineOpinionConfidence(data.answer.confidence, agreement)
+    });
+  } catch (error) {
+    if (target && !(error instanceof BudgetError)) {
+      trackUsage({
+        provider: target.provider,
+        model: target.model,
+        success: false,
+        secondOpinion: 'error',
+        contentType: contentType?.category,
+        error: error.message
+      });
+    }
+    
+    sendResponse({
+      success: false,
+      error: error.message,
+      budgetExceeded: error instanceof BudgetError
     });
   }
 }
 
-// Calculate confidence score (0-100)
+// The { provider, model } that gives second opinions on answers from
+// answeredProvider: the first model of another provider in the fallback
+// chain, else that provider's default. Providers without a key are skipped.
+function getSecondOpinionTarget(settings, answeredProvider) {
+  const candidates = [
+    ...(settings.fallbackChain || []),
+    ...Object.entries(SECOND_OPINION_MODELS).map(([provider, model]) => ({ provider, model }))
+  ];
+  return candidates.find((target) => {
+    const provider = PROVIDERS[target.provider];
+    return provider && target.model && target.provider !== answeredProvider &&
+      (!provider.requiresKey || provider.getApiKey(settings));
+  }) || null;
+}
+
+// What the overlay offers under a first answer: { modelName, auto } of the
+// second opinion model, auto meaning it is asked right away; null if no
+// other provider is set up
+function getSecondOpinionOffer(settings, contentType, data, answeredProvider) {
+  if (data.isFollowUp) return null;
+  const target = getSecondOpinionTarget(settings, answeredProvider);
+  if (!target) return null;
+  
+  const secondOpinion = { ...DEFAULT_SETTINGS.secondOpinion, ...settings.secondOpinion };
+  return {
+    modelName: getModelDisplayName(target.model),
+    auto: secondOpinion.auto && secondOpinion.categories.includes(contentType.category)
+  };
+}
+
+// 'agree', 'disagree', or 'unknown' when either answer has no final answer.
+// Choice letters only count as such for multiple-choice questions.
+function compareFinalAnswers(first, second, multipleChoice = false) {
+  if (!first || !second) return 'unknown';
+  return getAnswerKey(first, { multipleChoice }) === getAnswerKey(second, { multipleChoice }) ? 'agree' : 'disagree';
+}
+
+// Two providers agreeing halves the doubt; disagreeing means one is wrong
+function combineOpinionConfidence(confidence, agreement) {
+  if (agreement === 'agree') {
+    return Math.min(99, Math.round(confidence + (100 - confidence) / 2));
+  }
+  if (agreement === 'disagree') {
+    return Math.min(confidence, 40);
+  }
+  return confidence;
+}
+
+// Parse a structured answer (see ANSWER_SCHEMA) from model output. Tolerates
+// code fences, text around the JSON and output cut off mid-way, so it also
+// works on a stream in progress. Returns null when there is no usable answer,
+// in which case the output is shown as free text.
+function parseStructuredAnswer(text) {
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+  
+  const json = text.slice(start).replace(/\s*```\s*$/, '');
+  const data = tryParseJson(json) || tryParseJson(json.slice(0, json.lastIndexOf('}') + 1)) || tryParseJson(closePartialJson(json));
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+  
+  const toStrings = (value) => (Array.isArray(value) ? value : [])
+    .map(item => typeof item === 'string' ? item.trim() : JSON.stringify(item))
+    .filter(Boolean);
+  let confidence = typeof data.confidence === 'number' ? data.confidence : parseFloat(data.confidence);
+  if (Number.isFinite(confidence) && confidence > 0 && confidence <= 1) {
+    // Some models rate on a 0–1 scale
+    confidence *= 100;
+  }
+  
+  const answer = {
+    steps: toStrings(data.steps),
+    finalAnswer: data.finalAnswer == null ? '' : String(data.finalAnswer).trim(),
+    assumptions: toStrings(data.assumptions),
+    confidence: Number.isFinite(confidence) ? Math.max(0, Math.min(100, confidence)) : null
+  };
+  return answer.steps.length > 0 || answer.finalAnswer ? answer : null;
+}
+
+function tryParseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Complete JSON that stops part-way: close the open string, drop a dangling
+// key or half-written literal, then close open arrays and objects
+function closePartialJson(json) {
+  const scan = (text) => {
+    const stack = [];
+    let inString = false;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (inString) {
+        if (char === '\\') i++;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        stack.push(char === '{' ? '}' : ']');
+      } else if (char === '}' || char === ']') {
+        stack.pop();
+      }
+    }
+    return { stack, inString };
+  };
+  
+  let text = json.replace(/\\$/, '');
+  if (scan(text).inString) {
+    text += '"';
+  }
+  text = text
+    .replace(/[\s,]+$/, '')
+    .replace(/:\s*(?:t|tr|tru|f|fa|fal|fals|n|nu|nul|-)?$/, ':')
+    .replace(/([{,])\s*"(?:[^"\\]|\\.)*"\s*:?$/, '$1')
+    .replace(/,$/, '');
+  return text + scan(text).stack.reverse().join('');
+}
+
+// Readable Markdown for a structured answer: what goes into the thread,
+// history and cache, and what follow-ups see as context
+function formatStructuredAnswer({ steps, finalAnswer, assumptions }) {
+  const parts = [];
+  if (steps.length > 0) {
+    parts.push(steps.map((step, index) => `${index + 1}. ${step}`).join('\n'));
+  }
+  if (assumptions.length > 0) {
+    parts.push(`Assumptions:\n${assumptions.map(assumption => `- ${assumption}`).join('\n')}`);
+  }
+  if (finalAnswer) {
+    parts.push(`Final Answer: ${finalAnswer}`);
+  }
+  return parts.join('\n\n');
+}
+
+// Average probability of the tokens that spell out the answer (the last
+// occurrence of answerText in the output), or null without logprobs
+function getAnswerProbability(logprobs, answerText) {
+  if (!logprobs || logprobs.length === 0 || !answerText) return null;
+  
+  let position = 0;
+  const tokens = logprobs.map(({ token, logprob }) => {
+    const start = position;
+    position += token.length;
+    return { start, end: position, logprob };
+  });
+  const output = logprobs.map(({ token }) => token).join('');
+  const start = output.lastIndexOf(answerText);
+  if (start === -1) return null;
+  
+  const end = start + answerText.length;
+  const answerTokens = tokens.filter(token => token.end > start && token.start < end);
+  if (answerTokens.length === 0) return null;
+  
+  const meanLogprob = answerTokens.reduce((sum, token) => sum + token.logprob, 0) / answerTokens.length;
+  return Math.exp(meanLogprob);
+}
+
+// The text after the last "Final Answer:" in free-text output, if any
+function extractFinalAnswer(response) {
+  const lines = response.match(/final answer\s*[:\-–]?\s*(.+)$/gim);
+  return lines ? lines[lines.length - 1].replace(/^final answer\s*[:\-–]?[\s*_:]*/i, '').trim() : '';
+}
+
+// A final answer without its wrapping: Markdown, "The answer is", a
+// trailing period and a leading "x ="
+function unwrapFinalAnswer(answer) {
+  return answer
+    .toLowerCase()
+    .replace(/\*\*|__|[`$]/g, '')
+    .replace(/^\s*(?:the answer is|answer:)\s*/, '')
+    .replace(/[.\s]+$/, '')
+    .trim()
+    .replace(/^[a-z]\s*=\s*/, '');
+}
+
+// Comparable form of a final answer, so that "x = 2.50." and "$2.5$" or,
+// in multiple choice, "(B) Paris" and "b" count as the same answer
+function normalizeFinalAnswer(answer, { multipleChoice = false } = {}) {
+  let value = unwrapFinalAnswer(answer).replace(/[*_\\]/g, '');
+  
+  // A choice letter (or "2)") stands for its option. Elsewhere "a" and "I"
+  // are just words.
+  const choice = multipleChoice &&
+    (value.match(/^\(?([a-z])\)?$|^\(?([a-z])[).:]\s/) || value.match(/^\(?(\d{1,2})\)(?:\s|$)/));
+  if (choice) {
+    return `choice:${choice[1] || choice[2]}`;
+  }
+  
+  value = value.replace(/\s+/g, '');
+  const number = Number(value.replace(/,(?=\d{3}\b)/g, ''));
+  if (value !== '' && Number.isFinite(number)) {
+    return `number:${parseFloat(number.toPrecision(10))}`;
+  }
+  return value;
+}
+
+// Key final answers are compared by: their value where they evaluate as an
+// expression (with verifier.js), so "1/2", "0.5" and "\frac{1}{2}" or
+// "2x+3" and "3+2x" match; otherwise their normalized text
+function getAnswerKey(answer, options) {
+  const normalized = normalizeFinalAnswer(answer, options);
+  if (normalized.startsWith('choice:')) return normalized;
+  
+  // "2 1/2" is a mixed number, not 2 × 1/2
+  const expression = unwrapFinalAnswer(answer).replace(/^(-?)(\d+)\s+(\d+\s*\/\s*\d+)$/, '$1($2+$3)');
+  const fingerprint = getExpressionFingerprint(expression);
+  return fingerprint ? `value:${fingerprint}` : normalized;
+}
+
+// Confidence shown in the overlay, from what the model tells us: its own
+// rating of a structured answer and how likely its answer tokens were
+// (OpenAI logprobs), lowered when the answer was cut off or rests on
+// assumptions. Answers without either signal fall back to calculateConfidence.
+function estimateConfidence(response, contentType, answer, signals = {}) {
+  const ratings = [];
+  if (answer && answer.confidence !== null) {
+    ratings.push(answer.confidence);
+  }
+  
+  const answerText = answer ? JSON.stringify(answer.finalAnswer).slice(1, -1) : extractFinalAnswer(response);
+  const probability = getAnswerProbability(signals.logprobs, answerText);
+  if (probability !== null) {
+    ratings.push(probability * 100);
+  }
+  
+  let confidence = ratings.length > 0
+    ? ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length
+    : calculateConfidence(response, contentType);
+  
+  if (answer) {
+    confidence -= Math.min(15, answer.assumptions.length * 3);
+  }
+  if (TRUNCATED_FINISH_REASONS.includes(signals.finishReason)) {
+    confidence = Math.min(confidence, 40);
+  }
+  return Math.round(Math.max(5, Math.min(99, confidence)));
+}
+
+// Check a first math answer with the local verifier (verifier.js); null
+// for other categories, quick actions and images without text
+function verifyAnswer(request, answer, response) {
+  if (request.contentType.category !== 'math' || request.quickAction || !request.text) return null;
+  return verifyMathAnswer(request.text, answer ? answer.finalAnswer : extractFinalAnswer(response));
+}
+
+// A mismatch the verifier is sure of outweighs anything the model says about
+// itself, and a verified answer is at least as good as a confident one
+function applyVerification(confidence, verification) {
+  if (verification?.status === 'mismatch' && verification.certain) {
+    return Math.min(confidence, 20);
+  }
+  if (verification?.status === 'verified') {
+    return Math.max(confidence, 90);
+  }
+  return confidence;
+}
+
+// Number of self-consistency samples for a request (1 = a single answer).
+// Like structured answers, only first questions are sampled.
+function getSampleCount(settings, contentType, data, quickAction) {
+  const selfConsistency = getSelfConsistency(settings);
+  if (!selfConsistency.enabled || data.isFollowUp || quickAction ||
+    !SELF_CONSISTENCY_CATEGORIES.includes(contentType.category)) {
+    return 1;
+  }
+  return Math.max(2, Math.min(MAX_SELF_CONSISTENCY_SAMPLES, selfConsistency.samples));
+}
+
+function getSelfConsistency(settings) {
+  return { ...DEFAULT_SETTINGS.selfConsistency, ...settings.selfConsistency };
+}
+
+// Structured answers are for first questions in structured categories
+function isStructuredRequest(settings, contentType, data, quickAction) {
+  return settings.structuredAnswers !== false && !data.isFollowUp && !quickAction &&
+    !!CONTENT_CATEGORIES[contentType.category]?.structured;
+}
+
+// Heuristic confidence for free-text answers without model signals
 function calculateConfidence(response, contentType) {
   let confidence = 70; // Base confidence
   
+  const { category, wordCount } = contentType;
+  
   // Increase confidence for math problems with clear answers
-  if (contentType.isMath && /final answer|answer:\s*\d+/i.test(response)) {
+  if (['math', 'physics', 'chemistry', 'multiple-choice'].includes(category) && /final answer|answer:\s*\S+/i.test(response)) {
     confidence = 90;
   }
   
   // Increase confidence for code analysis
-  if (contentType.isCode && response.length > 100) {
+  if (['code', 'sql', 'regex'].includes(category) && response.length > 100) {
     confidence = 85;
   }
   
   // Decrease confidence for very short responses to complex questions
-  if (contentType.isLongText && response.length < 50) {
+  if (wordCount > 75 && response.length < 50) {
     confidence = 60;
   }
   
@@ -765,44 +2924,88 @@ function getSettings() {
 }
 
 // Track usage statistics
+// Usage updates are read-modify-write of one object, and retries, fallback
+// hops, self-consistency samples and second opinions can all report at once;
+// chained one after another, none of them overwrites another's counts
+let usageUpdate = Promise.resolve();
+
 function trackUsage(data) {
-  chrome.storage.local.get(['usage'], (result) => {
+  usageUpdate = usageUpdate.then(() => updateUsage(data)).catch((error) => {
+    console.error('Usage tracking error:', error.message);
+  });
+  return usageUpdate;
+}
+
+function updateUsage(data) {
+  return new Promise((resolve) => chrome.storage.local.get(['usage'], (result) => {
     const usage = result.usage || {
       totalRequests: 0,
       successfulRequests: 0,
       failedRequests: 0,
+      cancelledRequests: 0,
+      retryAttempts: 0,
+      fallbackAttempts: 0,
       totalResponseTime: 0,
       averageResponseTime: 0,
+      totalInputTokens: 0,
+      totalOutputTokens: 0,
+      totalCost: 0,
       byProvider: {},
       byModel: {},
       byContentType: {},
+      costByDay: {},
+      costByModel: {},
+      costByContentType: {},
       history: []
     };
     
-    usage.totalRequests++;
-    if (data.success) {
-      usage.successfulRequests++;
-      if (data.responseTime) {
-        usage.totalResponseTime += data.responseTime;
-        usage.averageResponseTime = usage.totalResponseTime / usage.successfulRequests;
-      }
+    if (data.retry) {
+      // Retries and fallback hops are extra attempts of a request that is
+      // counted when it settles
+      usage.retryAttempts = (usage.retryAttempts || 0) + 1;
+    } else if (data.fallback) {
+      usage.fallbackAttempts = (usage.fallbackAttempts || 0) + 1;
     } else {
-      usage.failedRequests++;
-    }
-    
-    // Track by provider
-    if (data.provider) {
-      usage.byProvider[data.provider] = (usage.byProvider[data.provider] || 0) + 1;
-    }
-    
-    // Track by model
-    if (data.model) {
-      usage.byModel[data.model] = (usage.byModel[data.model] || 0) + 1;
-    }
-    
-    // Track by content type
-    if (data.contentType) {
-      usage.byContentType[data.contentType] = (usage.byContentType[data.contentType] || 0) + 1;
+      usage.totalRequests++;
+      if (data.cancelled) {
+        // Neither a success nor a failure
+        usage.cancelledRequests = (usage.cancelledRequests || 0) + 1;
+      } else if (data.success) {
+        usage.successfulRequests++;
+        if (data.responseTime) {
+          usage.totalResponseTime += data.responseTime;
+          usage.averageResponseTime = usage.totalResponseTime / usage.successfulRequests;
+        }
+      } else {
+        usage.failedRequests++;
+      }
+      
+      // Track by provider
+      if (data.provider) {
+        usage.byProvider[data.provider] = (usage.byProvider[data.provider] || 0) + 1;
+      }
+      
+      // Track by model
+      if (data.model) {
+        usage.byModel[data.model] = (usage.byModel[data.model] || 0) + 1;
+      }
+      
+      // Track by content type
+      if (data.contentType) {
+        usage.byContentType[data.contentType] = (usage.byContentType[data.contentType] || 0) + 1;
+      }
+      
+      // Track tokens and cost
+      if (data.inputTokens || data.outputTokens) {
+        addUsageCost(usage, data);
+      }
+      
+      // Track cache effectiveness (only requests that could be cached)
+      if (data.cache === 'hit') {
+        usage.cacheHits = (usage.cacheHits || 0) + 1;
+      } else if (data.cache === 'miss') {
+        usage.cacheMisses = (usage.cacheMisses || 0) + 1;
+      }
     }
     
     // Add to history (keep last 100)
@@ -814,13 +3017,53 @@ function trackUsage(data) {
       usage.history.shift();
     }
     
-    chrome.storage.local.set({ usage });
-  });
+    chrome.storage.local.set({ usage }, resolve);
+  }));
+}
+
+// Add a request's tokens and cost to the running totals
+function addUsageCost(usage, data) {
+  const day = getDayKey(Date.now());
+  const cost = data.cost || 0;
+  
+  // Usage saved before cost tracking existed lacks these fields
+  usage.costByDay = usage.costByDay || {};
+  usage.costByModel = usage.costByModel || {};
+  usage.costByContentType = usage.costByContentType || {};
+  
+  usage.totalInputTokens = (usage.totalInputTokens || 0) + (data.inputTokens || 0);
+  usage.totalOutputTokens = (usage.totalOutputTokens || 0) + (data.outputTokens || 0);
+  usage.totalCost = (usage.totalCost || 0) + cost;
+  
+  usage.costByDay[day] = (usage.costByDay[day] || 0) + cost;
+  if (data.provider) {
+    usage.costByProviderDay = usage.costByProviderDay || {};
+    const providerDays = usage.costByProviderDay[data.provider] || {};
+    providerDays[day] = (providerDays[day] || 0) + cost;
+    usage.costByProviderDay[data.provider] = providerDays;
+  }
+  if (data.model) {
+    usage.costByModel[data.model] = (usage.costByModel[data.model] || 0) + cost;
+  }
+  if (data.contentType) {
+    usage.costByContentType[data.contentType] = (usage.costByContentType[data.contentType] || 0) + cost;
+  }
 }
 
 // Handle command shortcut
-chrome.commands.onCommand.addListener((command) => {
-  if (command === 'analyze-selection' || command === 'welcome-bubble') {
+chrome.commands.onCommand.addListener(async (command) => {
+  let message = null;
+  if (command === 'analyze-selection' || command === 'welcome-bubble' || command === 'snip-region') {
+    message = { action: command };
+  } else if (QUICK_ACTION_COMMANDS.includes(command)) {
+    // Run the quick action bound to this shortcut on the selection
+    const action = getQuickActions(await getSettings()).find(action => action.command === command);
+    if (action) {
+      message = { action: 'analyze-selection', quickAction: action.id };
+    }
+  }
+  
+  if (message) {
     // Send message to active tab's content script (safely)
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
       const tab = tabs && tabs[0];
@@ -835,7 +3078,7 @@ chrome.commands.onCommand.addListener((command) => {
       }
 
       try {
-        chrome.tabs.sendMessage(tab.id, { action: command }, (response) => {
+        chrome.tabs.sendMessage(tab.id, message, (response) => {
           // Swallow the common MV3 error when no receiver exists on a page
           if (chrome.runtime.lastError) {
             const errorMsg = chrome.runtime.lastError.message || '';
@@ -873,18 +3116,25 @@ chrome.action?.onClicked.addListener((tab) => {
   } catch (_) {}
 });
 
-// Context menu click → analyze selection
+// Context menu click → analyze selection, run a quick action on it, or start snipping
 chrome.contextMenus?.onClicked.addListener((info, tab) => {
   if (!tab) return;
   const url = tab.url || '';
   const isAllowed = /^https?:\/\//.test(url) || /^file:\/\//.test(url);
   if (!isAllowed) return;
-  try {
-    chrome.tabs.sendMessage(tab.id, { 
+  const menuItemId = String(info.menuItemId);
+  const message = menuItemId === 'cps-snip-region'
+    ? { action: 'snip-region' }
+    : {
       action: 'analyze-selection',
       selectionText: info.selectionText || null,
-      srcUrl: info.srcUrl || null
-    }, (response) => {
+      srcUrl: info.srcUrl || null,
+      quickAction: menuItemId.startsWith(QUICK_ACTION_MENU_PREFIX)
+        ? menuItemId.slice(QUICK_ACTION_MENU_PREFIX.length)
+        : null
+    };
+  try {
+    chrome.tabs.sendMessage(tab.id, message, (response) => {
       if (chrome.runtime.lastError) {
         const errorMsg = chrome.runtime.lastError.message || '';
         // These are expected errors when content script isn't available
@@ -7,6 +7,71 @@ let conversationHistory = [];
 let currentConversation = null;
 let currentThread = null; // Current conversation thread with context
 let overlayMode = 'analysis'; // 'bubble' or 'analysis'
+let activeStream = null; // In-flight streaming analysis ({ stop })
+let snipOverlay = null; // Crosshair layer while snipping a region
+let highlightedChoice = null; // Page element outlined as the chosen answer
+let attachedRunOutput = null; // Sandbox run output sent with the next follow-up
+const highlightCache = new Map(); // Highlighted code blocks, by language and code
+
+// Code blocks in these languages get a Run button; snippets run in the
+// sandbox page (sandbox.html) and are stopped after RUN_TIMEOUT_MS
+const RUNNABLE_LANGUAGES = ['js', 'javascript', 'mjs', 'cjs', 'node'];
+const RUN_TIMEOUT_MS = 3000;
+
+// highlight.js guesses below this relevance are shown as plain text
+const MIN_DETECTED_RELEVANCE = 3;
+
+// File extensions for "download" by highlight.js language
+const CODE_FILE_EXTENSIONS = {
+  bash: 'sh', shell: 'sh', c: 'c', cpp: 'cpp', csharp: 'cs', css: 'css', diff: 'diff',
+  go: 'go', graphql: 'graphql', ini: 'ini', java: 'java', javascript: 'js', json: 'json',
+  kotlin: 'kt', less: 'less', lua: 'lua', makefile: 'mk', markdown: 'md', objectivec: 'm',
+  perl: 'pl', php: 'php', python: 'py', r: 'r', ruby: 'rb', rust: 'rs', scss: 'scss',
+  sql: 'sql', swift: 'swift', typescript: 'ts', vbnet: 'vb', xml: 'html', yaml: 'yml'
+};
+
+// LaTeX commands and their Unicode for "copy as plain text"
+const LATEX_SYMBOLS = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+  theta: 'θ', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π', rho: 'ρ', sigma: 'σ',
+  tau: 'τ', phi: 'φ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Pi: 'Π', Sigma: 'Σ', Phi: 'Φ', Omega: 'Ω',
+  cdot: '·', times: '×', div: '÷', pm: '±', mp: '∓', le: '≤', leq: '≤', ge: '≥', geq: '≥',
+  ne: '≠', neq: '≠', approx: '≈', equiv: '≡', sim: '∼', propto: '∝', infty: '∞',
+  to: '→', rightarrow: '→', leftarrow: '←', Rightarrow: '⇒', implies: '⇒', Leftrightarrow: '⇔', iff: '⇔',
+  in: '∈', notin: '∉', subset: '⊂', subseteq: '⊆', cup: '∪', cap: '∩', emptyset: '∅',
+  forall: '∀', exists: '∃', neg: '¬', land: '∧', lor: '∨', partial: '∂', nabla: '∇',
+  sum: '∑', prod: '∏', int: '∫', oint: '∮', circ: '∘', degree: '°', angle: '∠', perp: '⊥',
+  ldots: '…', cdots: '⋯', dots: '…', quad: ' ', qquad: ' '
+};
+
+// Image limits per provider. maxEdge is the longest side the provider
+// actually looks at (bigger images are only downscaled on their end);
+// maxBytes is the largest base64 payload it accepts.
+const IMAGE_LIMITS = {
+  'openai': { maxEdge: 2048, maxBytes: 20 * 1024 * 1024 },
+  'claude': { maxEdge: 1568, maxBytes: 5 * 1024 * 1024 },
+  'openai-compatible': { maxEdge: 2048, maxBytes: 20 * 1024 * 1024 }
+};
+const SUPPORTED_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const LOSSY_QUALITIES = [0.92, 0.85, 0.75, 0.6, 0.45];
+const MIN_IMAGE_EDGE = 512;
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+
+// Languages answers can be written in (keep in sync with options.js)
+const RESPONSE_LANGUAGES = [
+  'English', 'Spanish', 'French', 'German', 'Italian', 'Portuguese', 'Dutch', 'Polish',
+  'Ukrainian', 'Russian', 'Turkish', 'Arabic', 'Hebrew', 'Hindi', 'Chinese', 'Japanese',
+  'Korean', 'Vietnamese', 'Indonesian', 'Greek', 'Thai'
+];
+
+// An image we can't bring within the provider's limits
+class ImageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageError';
+  }
+}
 
 // Initialize on page load
 (function() {
@@ -22,11 +87,13 @@ function init() {
   // Listen for Chrome command from background script
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === 'analyze-selection') {
+      // Quick actions (context menu or shortcut) run the selection through their own prompt
+      const options = request.quickAction ? { quickAction: request.quickAction } : {};
       // If selection text or image URL is provided from context menu, use it
       if (request.selectionText || request.srcUrl) {
-        handleSelectionWithData(request.selectionText || '', request.srcUrl || null);
+        handleSelectionWithData(request.selectionText || '', request.srcUrl || null, options);
       } else {
-        handleSelection();
+        handleSelection(options);
       }
       sendResponse({ success: true });
       return true; // Keep channel open for async response
@@ -34,6 +101,10 @@ function init() {
       handleWelcomeBubbleHotkey();
       sendResponse({ success: true });
       return true; // Keep channel open for async response
+    } else if (request.action === 'snip-region') {
+      startSnipMode();
+      sendResponse({ success: true });
+      return true; // Keep channel open for async response
     }
     // Don't return true for unhandled messages - let other listeners handle them
     return false;
@@ -47,7 +118,8 @@ function init() {
   document.addEventListener('keyup', handleSelectionChange);
 }
 
-// Handle hotkey (Alt+Shift+A — Option key on Mac, Alt+Shift+K for Welcome Bubble)
+// Handle hotkey (Alt+Shift+A — Option key on Mac, Alt+Shift+K for Welcome Bubble,
+// Alt+Shift+S to snip a region)
 function handleHotkey(event) {
   // Don't trigger if user is typing in an input field
   const activeElement = document.activeElement;
@@ -63,6 +135,7 @@ function handleHotkey(event) {
   const shiftKey = event.shiftKey;
   const isKeyA = event.code === 'KeyA' || /^a$/i.test(event.key ?? '');
   const isKeyK = event.code === 'KeyK' || /^k$/i.test(event.key ?? '');
+  const isKeyS = event.code === 'KeyS' || /^s$/i.test(event.key ?? '');
   
   // Handle Alt+Shift+A for analysis
   if (modifier && shiftKey && isKeyA) {
@@ -75,6 +148,112 @@ function handleHotkey(event) {
     event.preventDefault();
     handleWelcomeBubbleHotkey();
   }
+  
+  // Handle Alt+Shift+S for region snipping
+  if (modifier && shiftKey && isKeyS) {
+    event.preventDefault();
+    startSnipMode();
+  }
+}
+
+// Snip mode: drag a rectangle over anything on screen (canvases, embedded
+// viewers, video) and analyze a screenshot of it. Esc cancels.
+function startSnipMode() {
+  if (snipOverlay) return;
+  
+  snipOverlay = document.createElement('div');
+  snipOverlay.className = 'cps-snip-overlay';
+  snipOverlay.innerHTML = `
+    <div class="cps-snip-hint">Drag to select a region · Esc to cancel</div>
+    <div class="cps-snip-selection"></div>
+  `;
+  document.body.appendChild(snipOverlay);
+  
+  const selection = snipOverlay.querySelector('.cps-snip-selection');
+  let start = null;
+  let rect = null;
+  
+  const endSnipMode = () => {
+    document.removeEventListener('keydown', onKeyDown, true);
+    snipOverlay.remove();
+    snipOverlay = null;
+  };
+  
+  const onKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      endSnipMode();
+    }
+  };
+  
+  snipOverlay.addEventListener('mousedown', (e) => {
+    e.preventDefault();
+    start = { x: e.clientX, y: e.clientY };
+    rect = null;
+  });
+  
+  snipOverlay.addEventListener('mousemove', (e) => {
+    if (!start) return;
+    rect = {
+      x: Math.min(start.x, e.clientX),
+      y: Math.min(start.y, e.clientY),
+      width: Math.abs(e.clientX - start.x),
+      height: Math.abs(e.clientY - start.y)
+    };
+    Object.assign(selection.style, {
+      display: 'block',
+      left: `${rect.x}px`,
+      top: `${rect.y}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+  });
+  
+  snipOverlay.addEventListener('mouseup', () => {
+    if (!start) return;
+    start = null;
+    
+    // Ignore clicks and tiny drags; let the user try again
+    if (!rect || rect.width < 8 || rect.height < 8) {
+      selection.style.display = 'none';
+      return;
+    }
+    
+    endSnipMode();
+    captureSnippedRegion(rect);
+  });
+  
+  document.addEventListener('keydown', onKeyDown, true);
+}
+
+// Screenshot the snipped rectangle (via the background worker) and analyze it
+function captureSnippedRegion(rect) {
+  // Keep our own overlay out of the screenshot
+  const overlayWasVisible = overlayWindow && !overlayWindow.classList.contains('hidden');
+  if (overlayWasVisible) {
+    overlayWindow.style.display = 'none';
+  }
+  
+  // Wait two frames so the snip layer and overlay are gone from the screen
+  requestAnimationFrame(() => requestAnimationFrame(() => {
+    chrome.runtime.sendMessage({
+      action: 'captureRegion',
+      rect: rect,
+      devicePixelRatio: window.devicePixelRatio
+    }, (response) => {
+      if (overlayWindow) {
+        overlayWindow.style.display = '';
+      }
+      
+      if (chrome.runtime.lastError || !response?.success) {
+        showOverlayWindow();
+        displayError(`Couldn't capture the region: ${response?.error || chrome.runtime.lastError?.message || 'unknown error'}`);
+        return;
+      }
+      handleSelectionWithData('', response.imageData);
+    });
+  }));
 }
 
 // Handle selection change
@@ -92,27 +271,151 @@ function getSelection() {
   let imageData = null;
   
   if (range) {
-    // Check if an image is selected
-    const img = range.commonAncestorContainer.nodeType === 1 
-      ? range.commonAncestorContainer.querySelector('img')
-      : range.commonAncestorContainer.parentElement?.querySelector('img');
+    // Check if an image is selected; only an <img> inside the selection counts,
+    // not one that merely shares a parent with the selected text
+    const container = range.commonAncestorContainer;
+    const root = container.nodeType === 1 ? container : container.parentElement;
+    const img = root?.tagName === 'IMG'
+      ? root
+      : Array.from(root?.querySelectorAll('img') || []).find(candidate => range.intersectsNode(candidate));
     
-    if (img && img.src) {
-      imageData = img.src;
+    if (img && (img.currentSrc || img.src)) {
+      imageData = img.currentSrc || img.src;
     }
   }
   
   return { text: selectedText, imageData };
 }
 
+// Find the answer options of a multiple-choice question in the current
+// selection: a radio-button group, a lettered list under a question, or
+// lines like "A) …" / "2. …". Returns null or { options: [{ key, text, element }],
+// text, category } where text is the selection with lettered options appended
+// when the page didn't spell them out, and category is set when the page
+// structure alone makes the question multiple choice.
+function detectChoices(text) {
+  const selection = window.getSelection();
+  if (!selection.rangeCount) return null;
+  
+  const range = selection.getRangeAt(0);
+  const container = range.commonAncestorContainer;
+  const root = container.nodeType === 1 ? container : container.parentElement;
+  if (!root) return null;
+  
+  // Radio buttons the selection covers, or the whole group it sits in
+  let radios = Array.from(root.querySelectorAll('input[type="radio"], [role="radio"]'))
+    .filter(radio => range.intersectsNode(radio));
+  if (radios.length < 2) {
+    const group = root.closest('[role="radiogroup"], fieldset');
+    radios = group ? Array.from(group.querySelectorAll('input[type="radio"], [role="radio"]')) : [];
+  }
+  if (radios.length >= 2) {
+    const options = radios.map((radio, index) => ({
+      key: String.fromCharCode(65 + index),
+      text: getRadioLabel(radio),
+      element: getRadioOptionElement(radio)
+    })).filter(option => option.text);
+    if (options.length >= 2) {
+      return { options, text: appendOptions(text, options), category: 'multiple-choice' };
+    }
+  }
+  
+  // Items of a lettered list under a question; their letters are usually
+  // CSS-generated and missing from the selected text. Bulleted and numbered
+  // lists are just as often steps or notes, so they are left alone.
+  const items = Array.from(root.querySelectorAll('li')).filter(item => range.intersectsNode(item));
+  const list = items[0]?.parentElement;
+  if (items.length >= 2 && list.tagName === 'OL' && items.every(item => item.parentElement === list) && /\?/.test(text)) {
+    const style = list.getAttribute('type') || getComputedStyle(list).listStyleType;
+    if (/^(a|A|lower-alpha|upper-alpha|lower-latin|upper-latin)$/.test(style)) {
+      const start = parseInt(list.getAttribute('start'), 10) || 1;
+      const siblings = Array.from(list.children);
+      const options = items.map(item => ({
+        key: String.fromCharCode(65 + start - 1 + siblings.indexOf(item)),
+        text: item.textContent.trim().replace(/\s+/g, ' '),
+        element: item
+      }));
+      return { options, text: appendOptions(text, options), category: null };
+    }
+  }
+  
+  // "A) …", "(b) …", "3. …" lines in the text itself
+  const options = [];
+  text.split('\n').forEach(line => {
+    const match = /^\s*\(?([A-Ha-h]|[1-9])[).:]\s+(.+)$/.exec(line);
+    if (match) {
+      options.push({ key: match[1].toUpperCase(), text: match[2].trim(), element: null });
+    }
+  });
+  if (options.length < 2) return null;
+  
+  options.forEach(option => {
+    option.element = findOptionElement(root, range, option.text);
+  });
+  return { options, text, category: null };
+}
+
+function getRadioLabel(radio) {
+  const labelledBy = radio.getAttribute('aria-labelledby');
+  const label = radio.labels?.[0]
+    || (labelledBy && document.getElementById(labelledBy))
+    || (radio.tagName === 'INPUT' ? radio.closest('label') || radio.parentElement : radio);
+  const text = radio.getAttribute('aria-label') || label?.textContent || '';
+  return text.trim().replace(/\s+/g, ' ');
+}
+
+function getRadioOptionElement(radio) {
+  if (radio.tagName !== 'INPUT') return radio;
+  return radio.closest('label') || radio.labels?.[0] || radio.parentElement;
+}
+
+// The smallest element in the selection whose text contains the option
+function findOptionElement(root, range, optionText) {
+  const needle = optionText.slice(0, 40);
+  let best = null;
+  root.querySelectorAll('li, label, p, td, div, span').forEach(element => {
+    if (!range.intersectsNode(element) || !element.textContent.includes(needle)) return;
+    if (!best || element.textContent.length < best.textContent.length) {
+      best = element;
+    }
+  });
+  return best;
+}
+
+// Spell out the option keys so the model can answer "B" and we can map it back
+function appendOptions(text, options) {
+  return `${text}\n\nOptions:\n${options.map(({ key, text }) => `${key}) ${text}`).join('\n')}`;
+}
+
+// Outline the page element of the option the model chose
+function highlightChoice(choices, choice) {
+  clearChoiceHighlight();
+  const option = choices.find(({ key }) => key === choice.key);
+  if (!option?.element || !option.element.isConnected) return;
+  
+  chrome.storage.sync.get(['settings'], (result) => {
+    if (result.settings?.highlightChoices === false) return;
+    option.element.classList.add('cps-choice-highlight');
+    highlightedChoice = option.element;
+  });
+}
+
+function clearChoiceHighlight() {
+  if (highlightedChoice) {
+    highlightedChoice.classList.remove('cps-choice-highlight');
+    highlightedChoice = null;
+  }
+}
+
 // Handle selection and trigger analysis
-function handleSelection() {
+function handleSelection(options = {}) {
   const { text, imageData } = getSelection();
-  handleSelectionWithData(text, imageData);
+  handleSelectionWithData(text, imageData, options);
 }
 
-// Handle selection with provided data (for context menu)
-function handleSelectionWithData(text, imageData) {
+// Handle selection with provided data (for context menu). options are passed
+// on to sendAnalysisRequest.
+function handleSelectionWithData(text, imageData, options = {}) {
   if (!text && !imageData) {
     // No selection, show message
     showOverlayWindow();
@@ -129,53 +432,185 @@ function handleSelectionWithData(text, imageData) {
   // Display loading state
   displayLoading();
   
-  // Convert image to base64 if needed
-  let processedImageData = imageData;
-  if (imageData && !imageData.startsWith('data:')) {
-    // Need to convert image URL to base64
-    convertImageToBase64(imageData).then(base64 => {
-      processedImageData = base64;
-      sendAnalysisRequest(text || 'Analyze this image', processedImageData);
-    }).catch(() => {
-      // If conversion fails, try with original URL
-      sendAnalysisRequest(text || 'Analyze this image', imageData);
-    });
+  if (imageData) {
+    sendWithPreparedImage(text || 'Analyze this image', imageData, options);
   } else {
-    sendAnalysisRequest(text || 'Analyze this image', processedImageData);
+    // Keep the page's answer options so the chosen one can be outlined
+    const choices = options.quickAction ? null : detectChoices(text);
+    if (choices) {
+      sendAnalysisRequest(choices.text, null, false, { choices: choices.options, category: choices.category });
+    } else {
+      sendAnalysisRequest(text, null, false, options);
+    }
   }
 }
 
-// Convert image URL to base64
-function convertImageToBase64(imageUrl) {
+// Load an image (downloading page URLs through the background worker),
+// downscale/re-encode it, then send it. Images we can't read or shrink
+// enough get a friendly error instead of a request that would fail.
+function sendWithPreparedImage(text, imageData, options = {}) {
+  loadImageData(imageData).then(prepareImage).then(prepared => {
+    sendAnalysisRequest(text, prepared, false, options);
+  }).catch(error => {
+    const message = error instanceof ImageError ? error.message : `Couldn't read this image: ${error.message}`;
+    if (error.origin) {
+      displayImageAccessNeeded(message, error.origin);
+    } else {
+      displayError(message);
+    }
+  });
+}
+
+// Resolve an image source to a data URL. http(s) images are downloaded by
+// the background worker, which can read hosts it has been granted access to;
+// if that fails we still try the page itself (same-origin or CORS-enabled
+// images). Errors carry the origin to ask for when access was missing.
+function loadImageData(source) {
+  if (!/^https?:/i.test(source)) {
+    // data: and blob: URLs are readable from the page as they are
+    return Promise.resolve(source);
+  }
+  
   return new Promise((resolve, reject) => {
-    const img = new Image();
-    img.crossOrigin = 'anonymous';
-    img.onload = function() {
-      const canvas = document.createElement('canvas');
-      canvas.width = img.width;
-      canvas.height = img.height;
-      const ctx = canvas.getContext('2d');
-      ctx.drawImage(img, 0, 0);
-      try {
-        const base64 = canvas.toDataURL('image/png');
-        resolve(base64);
-      } catch (e) {
-        reject(e);
+    chrome.runtime.sendMessage({ action: 'fetchImage', url: source }, (response) => {
+      if (!chrome.runtime.lastError && response?.success) {
+        resolve(response.imageData);
+        return;
       }
-    };
-    img.onerror = reject;
-    img.src = imageUrl;
+      const failure = new Error(response?.error || chrome.runtime.lastError?.message || 'download failed');
+      failure.origin = response?.origin;
+      prepareImage(source).then(resolve).catch(() => reject(failure));
+    });
+  });
+}
+
+// Strictest image limits across the primary provider and its fallbacks, so
+// the image works whichever one ends up answering
+function getImageLimits() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(['settings'], (result) => {
+      const settings = result.settings || {};
+      const providers = [settings.provider || 'openai', ...(settings.fallbackChain || []).map(target => target.provider)];
+      resolve(providers.reduce((limits, providerId) => {
+        const providerLimits = IMAGE_LIMITS[providerId] || IMAGE_LIMITS.openai;
+        return {
+          maxEdge: Math.min(limits.maxEdge, providerLimits.maxEdge),
+          maxBytes: Math.min(limits.maxBytes, providerLimits.maxBytes)
+        };
+      }, { maxEdge: Infinity, maxBytes: Infinity }));
+    });
+  });
+}
+
+// MIME type of a data URL ("data:image/webp;base64,..." → "image/webp")
+function getDataUrlMimeType(dataUrl) {
+  const match = /^data:([^;,]+)/.exec(dataUrl);
+  return match ? match[1].toLowerCase() : null;
+}
+
+// Size of a data URL's base64 payload, which is what providers limit
+function getDataUrlPayloadSize(dataUrl) {
+  return dataUrl.length - dataUrl.indexOf(',') - 1;
+}
+
+// Load an image (data URL or page URL) into an <img>
+function loadImage(source) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    if (!source.startsWith('data:')) {
+      img.crossOrigin = 'anonymous';
+    }
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Image failed to load'));
+    img.src = source;
   });
 }
 
-// Send analysis request to background script (with streaming)
-function sendAnalysisRequest(text, imageData = null, isFollowUp = false) {
+// Draw an image scaled so its longest side is at most maxEdge
+function drawScaled(img, maxEdge, background = null) {
+  const width = img.naturalWidth || img.width;
+  const height = img.naturalHeight || img.height;
+  const scale = Math.min(1, maxEdge / Math.max(width, height));
+  
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  const ctx = canvas.getContext('2d');
+  if (background) {
+    // JPEG has no transparency; flatten onto white instead of black
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  return canvas;
+}
+
+// Bring an image within the provider limits: downscale to the max edge, keep
+// PNG when it fits (sharper for screenshots of text), otherwise step down
+// through JPEG/WebP qualities and then smaller sizes. Resolves with a data URL.
+async function prepareImage(source) {
+  const limits = await getImageLimits();
+  const img = await loadImage(source);
+  const width = img.naturalWidth || img.width;
+  const height = img.naturalHeight || img.height;
+  const mimeType = source.startsWith('data:') ? getDataUrlMimeType(source) : null;
+  
+  // Already fine: a supported type, small enough on both counts
+  if (mimeType && SUPPORTED_IMAGE_TYPES.includes(mimeType) &&
+      Math.max(width, height) <= limits.maxEdge &&
+      getDataUrlPayloadSize(source) <= limits.maxBytes) {
+    return source;
+  }
+  
+  // toDataURL throws on a tainted canvas (image served without CORS headers)
+  if (mimeType !== 'image/jpeg' && mimeType !== 'image/webp') {
+    const png = drawScaled(img, limits.maxEdge).toDataURL('image/png');
+    if (getDataUrlPayloadSize(png) <= limits.maxBytes) {
+      return png;
+    }
+  }
+  
+  const lossyType = mimeType === 'image/webp' ? 'image/webp' : 'image/jpeg';
+  const background = lossyType === 'image/jpeg' ? '#ffffff' : null;
+  let maxEdge = Math.min(limits.maxEdge, Math.max(width, height));
+  while (maxEdge >= MIN_IMAGE_EDGE) {
+    const canvas = drawScaled(img, maxEdge, background);
+    for (const quality of LOSSY_QUALITIES) {
+      const encoded = canvas.toDataURL(lossyType, quality);
+      if (getDataUrlPayloadSize(encoded) <= limits.maxBytes) {
+        return encoded;
+      }
+    }
+    maxEdge = Math.floor(maxEdge * 0.75);
+  }
+  
+  const limitMb = (limits.maxBytes / (1024 * 1024)).toFixed(0);
+  throw new ImageError(`This image is too detailed to send even after compressing it (limit ${limitMb} MB). Try cropping it to the part you need.`);
+}
+
+// Send analysis request to background script (with streaming).
+// options.overrideBudget lets this one request past a hard spending limit;
+// options.bypassCache asks the model again instead of reusing a cached answer;
+// options.category answers as that category instead of the detected one;
+// options.choices are the page's answer options for multiple-choice questions;
+// options.quickAction is the ID of the quick action whose prompt to use.
+function sendAnalysisRequest(text, imageData = null, isFollowUp = false, options = {}) {
+  // Only one analysis streams into the overlay at a time; stop the previous
+  // one so it keeps its partial text in its own thread
+  if (activeStream) {
+    activeStream.stop();
+  }
+  clearChoiceHighlight();
+  
   // Initialize new thread if this is the first message
+  // New threads keep the language picked in the overlay
   if (!isFollowUp && !currentThread) {
     currentThread = {
       id: Date.now(),
       messages: [],
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      language: overlayWindow.querySelector('.cps-language-select')?.value || null
     };
   }
   
@@ -190,7 +625,8 @@ function sendAnalysisRequest(text, imageData = null, isFollowUp = false) {
   }
   
   // Get conversation history for context
-  const conversationContext = currentThread ? currentThread.messages.slice(0, -1) : [];
+  const thread = currentThread;
+  const conversationContext = thread ? thread.messages.slice(0, -1) : [];
   
   // Initialize streaming response
   let streamedResponse = '';
@@ -200,22 +636,7 @@ function sendAnalysisRequest(text, imageData = null, isFollowUp = false) {
   if (currentThread && currentThread.messages.length >= 2) {
     // Show conversation thread so far
     let threadHTML = '<div class="cps-conversation-thread">';
-    currentThread.messages.slice(0, -1).forEach((msg) => {
-      if (msg.role === 'user') {
-        threadHTML += `
-          <div class="cps-message cps-user-message">
-            <div class="cps-message-content">${formatResponse(msg.text || '')}</div>
-          </div>
-        `;
-      } else if (msg.role === 'assistant') {
-        threadHTML += `
-          <div class="cps-message cps-assistant-message">
-            <div class="cps-message-content">${formatResponse(msg.text || '')}</div>
-            ${msg.confidence ? `<div class="cps-message-confidence">Confidence: ${Math.round(msg.confidence)}%</div>` : ''}
-          </div>
-        `;
-      }
-    });
+    threadHTML += renderThreadMessages(currentThread.messages.slice(0, -1));
     // Add streaming message placeholder
     threadHTML += `
       <div class="cps-message cps-assistant-message cps-streaming">
@@ -229,88 +650,374 @@ function sendAnalysisRequest(text, imageData = null, isFollowUp = false) {
     responseArea.innerHTML = '<div class="cps-response" id="streaming-content"></div>';
   }
   
+  // Stop control, removed once the stream finishes
+  responseArea.insertAdjacentHTML('beforeend', `
+    <div class="cps-stream-controls">
+      <div class="cps-stream-status"></div>
+      <button class="cps-stop-btn" title="Stop generating">■ Stop</button>
+    </div>
+  `);
+  
   const streamingContent = responseArea.querySelector('#streaming-content');
+  const streamControls = responseArea.querySelector('.cps-stream-controls');
+  const streamStatus = streamControls.querySelector('.cps-stream-status');
+  let retryTimer = null;
+  
+  // Show "retrying in Ns (attempt 2/3)" while the background backs off
+  const showRetryStatus = ({ attempt, maxAttempts, delayMs }) => {
+    clearInterval(retryTimer);
+    const retryAt = Date.now() + delayMs;
+    const render = () => {
+      const seconds = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+      streamStatus.textContent = `Retrying in ${seconds}s (attempt ${attempt}/${maxAttempts})`;
+      if (seconds === 0) {
+        clearInterval(retryTimer);
+        streamStatus.textContent = `Retrying (attempt ${attempt}/${maxAttempts})…`;
+      }
+    };
+    render();
+    retryTimer = setInterval(render, 1000);
+  };
   
-  // Set up message listener for streaming
-  const messageListener = (request, sender, sendResponse) => {
-    if (request.action === 'streamChunk') {
+  const clearRetryStatus = () => {
+    clearInterval(retryTimer);
+    streamStatus.textContent = '';
+  };
+  
+  // One port per analysis: only this request's chunks arrive here
+  const port = chrome.runtime.connect({ name: 'cps-analysis' });
+  let settled = false;
+  
+  const closeStream = () => {
+    settled = true;
+    clearRetryStatus();
+    if (activeStream === stream) {
+      activeStream = null;
+    }
+    try {
+      port.disconnect();
+    } catch (e) {
+      // Already disconnected
+    }
+  };
+  
+  // Category the background classified (or was told to use) for this request,
+  // and the option it picked when that was multiple choice
+  let detected = null;
+  let choice = null;
+  
+  // Steps/final answer of a structured answer, as far as it has arrived
+  let structured = null;
+  
+  // How self-consistency samples voted, for sampled answers
+  let consistency = null;
+  
+  // Result of checking a math answer locally
+  let verification = null;
+  
+  // { modelName, auto } of the model that can give a second opinion
+  let secondOpinionOffer = null;
+  
+  // Ask another provider's model the same question; the comparison goes
+  // between the answer and its actions and updates the confidence
+  const askSecondOpinion = (message) => {
+    const actions = responseArea.querySelector('.cps-answer-actions');
+    if (!actions) return;
+    actions.querySelector('.cps-second-opinion-btn')?.remove();
+    actions.insertAdjacentHTML('beforebegin', `<div class="cps-second-opinion cps-opinion-pending">Asking ${escapeHtml(secondOpinionOffer.modelName)} for a second opinion…</div>`);
+    const panel = actions.previousElementSibling;
+    
+    chrome.runtime.sendMessage({
+      action: 'secondOpinion',
+      data: {
+        text,
+        imageData,
+        category: message.category || null,
+        quickAction: options.quickAction || null,
+        language: thread?.language || null,
+        pageTitle: document.title,
+        url: location.href,
+        answer: {
+          text: message.text,
+          structured: message.structured || null,
+          confidence: message.confidence,
+          provider: message.provider
+        }
+      }
+    }, (response) => {
+      if (chrome.runtime.lastError || !response?.success) {
+        panel.className = 'cps-second-opinion cps-opinion-error';
+        panel.textContent = `Second opinion failed: ${response?.error || chrome.runtime.lastError?.message || 'no response'}`;
+        return;
+      }
+      
+      message.secondOpinion = {
+        provider: response.provider,
+        model: response.model,
+        modelName: response.modelName,
+        response: response.response,
+        structured: response.structured,
+        primaryAnswer: response.primaryAnswer,
+        finalAnswer: response.finalAnswer,
+        agreement: response.agreement
+      };
+      message.confidence = response.confidence;
+      if (panel.isConnected) {
+        panel.outerHTML = renderSecondOpinion(message);
+        updateConfidence(response.confidence);
+      }
+      updateHistoryThread(thread, { confidence: response.confidence });
+    });
+  };
+  
+  // Note shown above the answer when earlier context had to be condensed
+  let contextNotice = null;
+  const showContextNotice = (message) => {
+    contextNotice = message;
+    if (!streamingContent) return;
+    const existing = streamingContent.parentElement.querySelector('.cps-context-notice');
+    if (existing) {
+      existing.remove();
+    }
+    if (message) {
+      streamingContent.insertAdjacentHTML('beforebegin', `<div class="cps-context-notice">${escapeHtml(message)}</div>`);
+    }
+  };
+  
+  // Finalize the response (completed or stopped by the user). answeredBy is
+  // the { provider, model, modelName, fallback, cached } that produced the response, if known.
+  const finishStream = (finalResponse, confidence, stopped = false, answeredBy = null) => {
+    closeStream();
+    if (streamControls) {
+      streamControls.remove();
+    }
+    
+    // Remove streaming class
+    const streamingMsg = responseArea.querySelector('.cps-streaming');
+    if (streamingMsg) {
+      streamingMsg.classList.remove('cps-streaming');
+    }
+    
+    // Update final response
+    if (streamingContent) {
+      streamingContent.innerHTML = renderAnswer(finalResponse, structured, stopped ? null : choice);
+      if (stopped) {
+        streamingContent.insertAdjacentHTML('afterend', '<div class="cps-message-stopped">Stopped</div>');
+      } else if (answeredBy) {
+        streamingContent.insertAdjacentHTML('afterend', renderModelBadge(answeredBy));
+      }
+      if (consistency && !stopped) {
+        streamingContent.insertAdjacentHTML('afterend', renderConsistency(consistency));
+      }
+      if (verification && !stopped) {
+        streamingContent.insertAdjacentHTML('afterend', renderVerification(verification));
+      }
+      if (choice && !stopped) {
+        streamingContent.insertAdjacentHTML('beforebegin', renderChoiceCard(choice));
+        if (options.choices) {
+          highlightChoice(options.choices, choice);
+        }
+      }
+    }
+    
+    // Add AI response to the thread this request belongs to
+    let message = null;
+    if (thread) {
+      message = {
+        role: 'assistant',
+        text: finalResponse,
+        timestamp: Date.now()
+      };
+      if (stopped) {
+        message.stopped = true;
+      } else {
+        message.confidence = confidence;
+      }
+      if (answeredBy) {
+        Object.assign(message, answeredBy);
+      }
+      if (contextNotice) {
+        message.contextNotice = contextNotice;
+      }
+      if (detected) {
+        message.category = detected.category;
+      }
+      if (choice && !stopped) {
+        message.choice = choice;
+      }
+      if (structured) {
+        message.structured = structured;
+      }
+      if (consistency && !stopped) {
+        message.consistency = consistency;
+      }
+      if (verification && !stopped) {
+        message.verification = verification;
+      }
+      thread.messages.push(message);
+    }
+    
+    // First answers can be re-run as a different category, fetched fresh
+    // from the model when they came from the cache, or checked by another model
+    if (thread && !isFollowUp && !stopped) {
+      const rerun = (rerunOptions) => {
+        // Drop this exchange; the new answer takes its place
+        thread.messages.splice(-2);
+        currentThread = thread;
+        displayLoading();
+        sendAnalysisRequest(text, imageData, false, rerunOptions);
+      };
+      // Quick actions have their own prompt, so there is no category to switch
+      responseArea.insertAdjacentHTML('beforeend', renderAnswerActions(answeredBy?.cached, options.quickAction ? null : detected, secondOpinionOffer));
+      const actions = responseArea.querySelector('.cps-answer-actions');
+      actions.querySelector('.cps-refresh-btn')?.addEventListener('click', () => {
+        rerun({ bypassCache: true, category: options.category, choices: options.choices, quickAction: options.quickAction });
+      });
+      actions.querySelector('.cps-category-select')?.addEventListener('change', (e) => {
+        rerun({ category: e.target.value, choices: options.choices });
+      });
+      actions.querySelector('.cps-second-opinion-btn')?.addEventListener('click', () => {
+        askSecondOpinion(message);
+      });
+    }
+    
+    // Show and update confidence indicator (not meaningful for partial text)
+    const confidenceSection = overlayWindow.querySelector('.cps-confidence');
+    if (confidenceSection) {
+      confidenceSection.style.display = stopped ? 'none' : 'block';
+    }
+    if (!stopped) {
+      updateConfidence(confidence);
+    }
+    
+    // Save to conversation history
+    if (!isFollowUp) {
+      addToHistory({
+        text,
+        response: finalResponse,
+        confidence: stopped ? 0 : confidence,
+        stopped: stopped,
+        modelName: answeredBy?.modelName,
+        timestamp: Date.now(),
+        threadId: thread?.id
+      }, thread);
+    } else {
+      updateHistoryThread(thread);
+    }
+    
+    // High-stakes answers get a second opinion right away
+    if (message && !isFollowUp && !stopped && secondOpinionOffer?.auto) {
+      askSecondOpinion(message);
+    }
+    
+    // Clear follow-up input
+    const followUpInput = overlayWindow.querySelector('.cps-followup-input');
+    if (followUpInput) {
+      followUpInput.value = '';
+      updateWordCount();
+    }
+  };
+  
+  // Stop: disconnecting the port aborts the request in the background;
+  // keep what we have so far
+  const stream = {
+    stop: () => finishStream(streamedResponse, 0, true)
+  };
+  activeStream = stream;
+  
+  port.onMessage.addListener((request) => {
+    if (settled) return;
+    
+    if (request.action === 'streamRetry') {
+      showRetryStatus(request);
+    } else if (request.action === 'streamFallback') {
+      clearRetryStatus();
+      streamStatus.textContent = `${request.from} failed, trying ${request.to}…`;
+    } else if (request.action === 'streamChunk') {
+      clearRetryStatus();
       streamedResponse += request.chunk;
       if (streamingContent) {
-        streamingContent.innerHTML = formatResponse(streamedResponse);
+        streamingContent.innerHTML = formatResponse(streamedResponse, { streaming: true });
         // Auto-scroll to bottom
         responseArea.scrollTop = responseArea.scrollHeight;
       }
-    } else if (request.action === 'streamComplete' || request.action === 'streamFinal') {
-      // Remove streaming class
-      const streamingMsg = responseArea.querySelector('.cps-streaming');
-      if (streamingMsg) {
-        streamingMsg.classList.remove('cps-streaming');
-      }
-      
-      const finalResponse = request.fullResponse || streamedResponse;
-      const confidence = request.confidence || 70;
-      const responseTime = request.responseTime || 0;
-      
-      // Update final response
+    } else if (request.action === 'streamStructured') {
+      // Each update carries the whole answer so far, not a delta
+      clearRetryStatus();
+      streamedResponse = request.text;
+      structured = request.answer;
       if (streamingContent) {
-        streamingContent.innerHTML = formatResponse(finalResponse);
-      }
-      
-      // Add AI response to thread
-      if (currentThread) {
-        currentThread.messages.push({
-          role: 'assistant',
-          text: finalResponse,
-          confidence: confidence,
-          timestamp: Date.now()
-        });
+        streamingContent.innerHTML = renderAnswer(streamedResponse, structured, null, true);
+        responseArea.scrollTop = responseArea.scrollHeight;
       }
-      
-      // Show and update confidence indicator
-      const confidenceSection = overlayWindow.querySelector('.cps-confidence');
-      if (confidenceSection) {
-        confidenceSection.style.display = 'block';
+    } else if (request.action === 'streamSampling') {
+      clearRetryStatus();
+      streamStatus.textContent = `Sampling answers (${request.done}/${request.total})…`;
+    } else if (request.action === 'streamContextCondensed') {
+      showContextNotice(request.message);
+    } else if (request.action === 'streamFinal') {
+      // The model that finally answered decides whether context was condensed
+      showContextNotice(request.contextNotice || null);
+      if (request.category) {
+        detected = { category: request.category, categories: request.categories || [] };
       }
-      updateConfidence(confidence);
-      
-      // Save to conversation history
-      if (!isFollowUp) {
-        addToHistory({
-          text,
-          response: finalResponse,
-          confidence: confidence,
-          timestamp: Date.now(),
-          threadId: currentThread?.id
+      choice = request.choice || null;
+      structured = request.structured || null;
+      consistency = request.consistency || null;
+      verification = request.verification || null;
+      secondOpinionOffer = request.secondOpinion || null;
+      finishStream(request.fullResponse || streamedResponse, request.confidence || 70, false, {
+        provider: request.provider,
+        model: request.model,
+        modelName: request.modelName,
+        fallback: request.fallback,
+        cached: !!request.cached
+      });
+    } else if (request.action === 'streamBudgetWarning') {
+      showBudgetWarning(request.message);
+    } else if (request.action === 'streamError') {
+      closeStream();
+      if (request.budgetExceeded) {
+        // Take the unsent message back out so "override once" can resend it
+        if (thread && thread.messages[thread.messages.length - 1]?.text === text) {
+          thread.messages.pop();
+        }
+        displayBudgetBlocked(request.error, () => {
+          displayLoading();
+          sendAnalysisRequest(text, imageData, isFollowUp, { ...options, overrideBudget: true });
         });
       } else {
-        updateHistoryThread(currentThread);
+        displayError(request.error);
       }
-      
-      // Clear follow-up input
-      const followUpInput = overlayWindow.querySelector('.cps-followup-input');
-      if (followUpInput) {
-        followUpInput.value = '';
-        updateWordCount();
-      }
-      
-      // Remove message listener
-      chrome.runtime.onMessage.removeListener(messageListener);
-    } else if (request.action === 'streamError') {
-      displayError(request.error);
-      chrome.runtime.onMessage.removeListener(messageListener);
     }
-  };
+  });
   
-  chrome.runtime.onMessage.addListener(messageListener);
+  // The background went away (extension reloaded, worker crashed) mid-stream
+  port.onDisconnect.addListener(() => {
+    if (settled) return;
+    closeStream();
+    displayError('Connection to the extension was lost. Please try again.');
+  });
+  
+  streamControls.querySelector('.cps-stop-btn').addEventListener('click', () => {
+    stream.stop();
+  });
   
   // Send streaming request
-  chrome.runtime.sendMessage({
+  port.postMessage({
     action: 'analyzeStream',
     data: { 
       text, 
       imageData,
       conversationContext: conversationContext,
-      isFollowUp: isFollowUp
+      isFollowUp: isFollowUp,
+      overrideBudget: !!options.overrideBudget,
+      bypassCache: !!options.bypassCache,
+      category: options.category || null,
+      quickAction: options.quickAction || null,
+      language: thread?.language || null,
+      pageTitle: document.title,
+      url: location.href
     }
   });
 }
@@ -326,6 +1033,8 @@ function showOverlayWindow() {
     morphToAnalysisMode();
   }
   
+  loadRenderers();
+  
   // Remove hidden and minimized classes to show the window
   overlayWindow.classList.remove('hidden');
   overlayWindow.classList.remove('minimized');
@@ -335,6 +1044,28 @@ function showOverlayWindow() {
   restoreWindowState();
 }
 
+// Have the background worker inject KaTeX and highlight.js into this frame.
+// Without access to the tab (e.g. opened with the in-page hotkey) it can't,
+// so code and math are shown as plain text and the overlay says why.
+function loadRenderers() {
+  if (typeof katex !== 'undefined') return;
+  chrome.runtime.sendMessage({ action: 'loadRenderers' }, (response) => {
+    if (chrome.runtime.lastError || !response?.success) {
+      showRendererNotice();
+    }
+  });
+}
+
+function showRendererNotice() {
+  const responseArea = overlayWindow?.querySelector('.cps-response-area');
+  if (!responseArea || overlayWindow.querySelector('.cps-renderer-notice')) return;
+  responseArea.insertAdjacentHTML('beforebegin', `
+    <div class="cps-renderer-notice">
+      Math and code formatting are unavailable here. Open the overlay from the right-click menu or the extension's shortcut to get them.
+    </div>
+  `);
+}
+
 // Create overlay window
 function createOverlayWindow(mode = 'analysis') {
   overlayWindow = document.createElement('div');
@@ -411,6 +1142,7 @@ function createOverlayWindow(mode = 'analysis') {
             <button class="cps-send-btn" id="send-followup">Send</button>
           </div>
           <div class="cps-feedback">
+            ${renderLanguageSelect()}
             <button class="cps-feedback-btn cps-like" title="Like">👍</button>
             <button class="cps-feedback-btn cps-dislike" title="Dislike">👎</button>
           </div>
@@ -426,6 +1158,9 @@ function createOverlayWindow(mode = 'analysis') {
     setupTabs();
     setupFeedback();
     setupFollowUp();
+    setupCodeBlocks();
+    setupMathCopy();
+    setupLanguageSelect();
   }
 }
 
@@ -451,11 +1186,45 @@ function setupWindowControls() {
   if (closeBtn) {
     closeBtn.addEventListener('click', () => {
       overlayWindow.classList.add('hidden');
+      clearChoiceHighlight();
       saveWindowState();
     });
   }
 }
 
+// "Respond in" picker: overrides the language setting for the current thread
+function renderLanguageSelect() {
+  return `
+    <label class="cps-language">
+      Respond in
+      <select class="cps-language-select" title="Language of answers in this conversation">
+        <option value="">Default</option>
+        ${RESPONSE_LANGUAGES.map(language => `<option value="${language}">${language}</option>`).join('')}
+      </select>
+    </label>
+  `;
+}
+
+function setupLanguageSelect() {
+  const select = overlayWindow.querySelector('.cps-language-select');
+  if (!select) return;
+  
+  select.addEventListener('change', () => {
+    if (currentThread) {
+      currentThread.language = select.value || null;
+      updateHistoryThread(currentThread);
+    }
+  });
+}
+
+// Show the language of the thread on screen
+function showThreadLanguage(thread) {
+  const select = overlayWindow?.querySelector('.cps-language-select');
+  if (select) {
+    select.value = thread?.language || '';
+  }
+}
+
 // Setup tabs
 function setupTabs() {
   const tabs = overlayWindow.querySelectorAll('.cps-tab');
@@ -554,7 +1323,7 @@ function sendFollowUp() {
   const text = followUpInput.value.trim();
   if (!text) return;
   
-  // Check word count
+  // Check word count (attached run output doesn't count)
   const words = text.split(/\s+/).filter(word => word.length > 0);
   if (words.length > 50) {
     alert('Please limit your follow-up to 50 words or less.');
@@ -567,11 +1336,231 @@ function sendFollowUp() {
     return;
   }
   
+  const message = attachedRunOutput
+    ? `${text}\n\nOutput from running the code:\n\`\`\`\n${attachedRunOutput}\n\`\`\``
+    : text;
+  clearRunAttachment();
+  
   // Display loading
   displayLoading();
   
   // Send follow-up request
-  sendAnalysisRequest(text, null, true);
+  sendAnalysisRequest(message, null, true);
+}
+
+// Copy buttons on formulas, delegated like the code runner's
+function setupMathCopy() {
+  const responseArea = overlayWindow.querySelector('.cps-response-area');
+  if (!responseArea) return;
+  
+  responseArea.addEventListener('click', (e) => {
+    const copyBtn = e.target.closest('.cps-math-copy');
+    if (!copyBtn) return;
+    
+    const latex = copyBtn.closest('.cps-math').dataset.latex;
+    copyWithFeedback(copyBtn, copyBtn.dataset.format === 'latex' ? latex : latexToPlainText(latex));
+  });
+}
+
+// Copy text and briefly say so on the button
+function copyWithFeedback(button, text) {
+  const label = button.textContent;
+  
+  navigator.clipboard.writeText(text)
+    .then(() => { button.textContent = 'Copied'; })
+    .catch(() => { button.textContent = 'Failed'; })
+    .finally(() => setTimeout(() => { button.textContent = label; }, 1200));
+}
+
+// Code block buttons live inside re-rendered answers, so listen on the area
+function setupCodeBlocks() {
+  const responseArea = overlayWindow.querySelector('.cps-response-area');
+  if (!responseArea) return;
+  
+  responseArea.addEventListener('click', (e) => {
+    const runBtn = e.target.closest('.cps-run-btn');
+    if (runBtn) {
+      runCodeBlock(runBtn.closest('.cps-code-block'), runBtn);
+      return;
+    }
+    
+    const copyBtn = e.target.closest('.cps-code-copy-btn');
+    if (copyBtn) {
+      copyWithFeedback(copyBtn, copyBtn.closest('.cps-code-block').querySelector('code').textContent);
+      return;
+    }
+    
+    const downloadBtn = e.target.closest('.cps-code-download-btn');
+    if (downloadBtn) {
+      downloadCodeBlock(downloadBtn.closest('.cps-code-block'));
+      return;
+    }
+    
+    const attachBtn = e.target.closest('.cps-run-attach-btn');
+    if (attachBtn) {
+      attachRunOutput(attachBtn.closest('.cps-run-output'));
+    }
+  });
+}
+
+// Save a code block as snippet.<ext>, the extension from its language
+function downloadCodeBlock(block) {
+  const code = block.querySelector('code');
+  const languageClass = [...code.classList].find(name => name.startsWith('language-'));
+  const extension = CODE_FILE_EXTENSIONS[languageClass?.slice('language-'.length)] || 'txt';
+  
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([code.textContent], { type: 'text/plain' }));
+  link.download = `snippet.${extension}`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// Run a code block and show the result right below it
+async function runCodeBlock(block, runBtn) {
+  const code = block?.querySelector('code')?.textContent;
+  if (!code) return;
+  
+  runBtn.disabled = true;
+  runBtn.textContent = 'Running…';
+  
+  const result = await runInSandbox(code);
+  
+  runBtn.disabled = false;
+  runBtn.textContent = '▶ Run';
+  
+  const previous = block.nextElementSibling;
+  if (previous?.classList.contains('cps-run-output')) {
+    previous.remove();
+  }
+  block.insertAdjacentHTML('afterend', renderRunOutput(result));
+  
+  const output = block.nextElementSibling;
+  output.dataset.summary = summarizeRunOutput(result);
+  output.dataset.failed = String(Boolean(result.error || result.timedOut));
+}
+
+// Run a snippet in a fresh sandbox frame. The frame has its own origin and
+// no extension APIs; it answers with a single runResult message.
+function runInSandbox(code) {
+  return new Promise((resolve) => {
+    const frame = document.createElement('iframe');
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const hostUrl = getWebAccessibleUrl('sandbox-host.html');
+    const hostOrigin = new URL(hostUrl).origin;
+    let timer = null;
+    let posted = false;
+    
+    const finish = (result) => {
+      clearTimeout(timer);
+      window.removeEventListener('message', onMessage);
+      frame.remove();
+      resolve({ logs: [], hasResult: false, result: null, error: null, durationMs: 0, timedOut: false, ...result });
+    };
+    
+    // Results count only from our frame, while it still shows the host page
+    const onMessage = (event) => {
+      if (event.source !== frame.contentWindow || event.origin !== hostOrigin) return;
+      if (event.data?.action !== 'runResult' || event.data.id !== id) return;
+      finish(event.data);
+    };
+    
+    window.addEventListener('message', onMessage);
+    frame.addEventListener('load', () => {
+      // Posting to the host's origin means a frame the page has navigated
+      // elsewhere never sees the code; it is sent once, on the first load
+      if (posted) return;
+      posted = true;
+      frame.contentWindow.postMessage({ action: 'run', id, code, timeoutMs: RUN_TIMEOUT_MS }, hostOrigin);
+    });
+    
+    // The sandbox enforces the timeout itself; this only covers a frame
+    // that never loads (some pages block extension frames)
+    timer = setTimeout(() => {
+      finish({ error: { name: 'Error', message: 'The sandbox did not respond. This page may block it.' } });
+    }, RUN_TIMEOUT_MS + 2000);
+    
+    frame.className = 'cps-sandbox-frame';
+    frame.src = hostUrl;
+    (overlayWindow || document.documentElement).appendChild(frame);
+  });
+}
+
+// URL of a resource declared with use_dynamic_url: it is only reachable
+// through this session's dynamic extension ID, so pages can't probe for it
+function getWebAccessibleUrl(path) {
+  return chrome.runtime.dynamicId
+    ? `chrome-extension://${chrome.runtime.dynamicId}/${path}`
+    : chrome.runtime.getURL(path);
+}
+
+// Console-style output of a sandbox run
+function renderRunOutput({ logs, hasResult, result, error, durationMs, timedOut }) {
+  const lines = logs.map(log => `<div class="cps-run-line cps-run-${escapeHtml(log.level)}">${escapeHtml(log.text)}</div>`);
+  
+  if (hasResult) {
+    lines.push(`<div class="cps-run-line cps-run-result">← ${escapeHtml(result)}</div>`);
+  }
+  if (error) {
+    lines.push(`<div class="cps-run-line cps-run-error">Uncaught ${escapeHtml(error.name)}: ${escapeHtml(error.message)}</div>`);
+  }
+  if (timedOut) {
+    lines.push(`<div class="cps-run-line cps-run-error">Stopped after ${RUN_TIMEOUT_MS / 1000}s</div>`);
+  }
+  if (lines.length === 0) {
+    lines.push('<div class="cps-run-line cps-run-empty">No output</div>');
+  }
+  
+  return `
+    <div class="cps-run-output${error || timedOut ? ' cps-run-failed' : ''}">
+      <div class="cps-run-lines">${lines.join('')}</div>
+      <div class="cps-run-footer">
+        <span>${timedOut ? 'Timed out' : `Ran in ${Math.round(durationMs)} ms`}</span>
+        <button class="cps-run-attach-btn" title="Send this output with your next follow-up">Attach to follow-up</button>
+      </div>
+    </div>
+  `;
+}
+
+// Plain-text version of a run for the model
+function summarizeRunOutput({ logs, hasResult, result, error, timedOut }) {
+  const lines = logs.map(log => (log.level === 'log' ? log.text : `[${log.level}] ${log.text}`));
+  
+  if (hasResult) lines.push(`Return value: ${result}`);
+  if (error) lines.push(`Uncaught ${error.name}: ${error.message}`);
+  if (timedOut) lines.push(`Timed out after ${RUN_TIMEOUT_MS / 1000}s`);
+  
+  return lines.join('\n') || 'No output';
+}
+
+// Queue a run's output for the next follow-up and show it above the input
+function attachRunOutput(output) {
+  const followUp = overlayWindow.querySelector('.cps-followup');
+  const followUpInput = overlayWindow.querySelector('.cps-followup-input');
+  if (!output || !followUp || !followUpInput) return;
+  
+  clearRunAttachment();
+  attachedRunOutput = output.dataset.summary;
+  
+  const chip = document.createElement('div');
+  chip.className = 'cps-run-attachment';
+  chip.innerHTML = `
+    <span>📎 Run output attached</span>
+    <button class="cps-run-attachment-remove" title="Remove">×</button>
+  `;
+  chip.querySelector('.cps-run-attachment-remove').addEventListener('click', clearRunAttachment);
+  followUp.before(chip);
+  
+  if (!followUpInput.value.trim() && output.dataset.failed === 'true') {
+    followUpInput.value = 'Fix this error';
+    updateWordCount();
+  }
+  followUpInput.focus();
+}
+
+function clearRunAttachment() {
+  attachedRunOutput = null;
+  overlayWindow?.querySelectorAll('.cps-run-attachment').forEach(chip => chip.remove());
 }
 
 // Show feedback modal
@@ -677,24 +1666,7 @@ function displayResponse(response, confidence, responseTime, isFollowUp = false)
   // Display full conversation thread if we have multiple messages
   if (currentThread && currentThread.messages.length >= 2) {
     let threadHTML = '<div class="cps-conversation-thread">';
-    
-    currentThread.messages.forEach((msg, index) => {
-      if (msg.role === 'user') {
-        threadHTML += `
-          <div class="cps-message cps-user-message">
-            <div class="cps-message-content">${formatResponse(msg.text || '')}</div>
-          </div>
-        `;
-      } else if (msg.role === 'assistant') {
-        threadHTML += `
-          <div class="cps-message cps-assistant-message">
-            <div class="cps-message-content">${formatResponse(msg.text || '')}</div>
-            ${msg.confidence ? `<div class="cps-message-confidence">Confidence: ${Math.round(msg.confidence)}%</div>` : ''}
-          </div>
-        `;
-      }
-    });
-    
+    threadHTML += renderThreadMessages(currentThread.messages);
     threadHTML += '</div>';
     responseArea.innerHTML = threadHTML;
   } else {
@@ -721,22 +1693,248 @@ function displayResponse(response, confidence, responseTime, isFollowUp = false)
   responseArea.scrollTop = responseArea.scrollHeight;
 }
 
-// Format response text
-function formatResponse(text) {
-  // Clean up LaTeX markup characters
-  let cleaned = text
-    // Remove inline math delimiters \( and \)
-    .replace(/\\\(/g, '')
-    .replace(/\\\)/g, '')
-    // Remove display math delimiters \[ and \]
-    .replace(/\\\[/g, '')
-    .replace(/\\\]/g, '')
-    // Remove dollar sign math delimiters (display math: $$...$$)
-    .replace(/\$\$([^$]+)\$\$/g, '$1')
-    // Remove common LaTeX text formatting commands (convert to HTML)
-    .replace(/\\textbf\{([^}]+)\}/g, '<strong>$1</strong>')
-    .replace(/\\textit\{([^}]+)\}/g, '<em>$1</em>')
-    .replace(/\\texttt\{([^}]+)\}/g, '<code>$1</code>')
+// Render thread messages as chat bubbles
+function renderThreadMessages(messages) {
+  return messages.map((msg) => {
+    if (msg.role === 'user') {
+      return `
+        <div class="cps-message cps-user-message">
+          <div class="cps-message-content">${formatResponse(msg.text || '')}</div>
+        </div>
+      `;
+    } else if (msg.role === 'assistant') {
+      return `
+        <div class="cps-message cps-assistant-message">
+          ${msg.contextNotice ? `<div class="cps-context-notice">${escapeHtml(msg.contextNotice)}</div>` : ''}
+          ${msg.choice ? renderChoiceCard(msg.choice) : ''}
+          <div class="cps-message-content">${renderAnswer(msg.text || '', msg.structured, msg.choice)}</div>
+          ${msg.verification ? renderVerification(msg.verification) : ''}
+          ${msg.consistency ? renderConsistency(msg.consistency) : ''}
+          ${msg.secondOpinion ? renderSecondOpinion(msg) : ''}
+          ${msg.stopped ? '<div class="cps-message-stopped">Stopped</div>' : msg.modelName ? renderModelBadge(msg) : ''}
+          ${msg.confidence ? `<div class="cps-message-confidence">Confidence: ${Math.round(msg.confidence)}%</div>` : ''}
+        </div>
+      `;
+    }
+    return '';
+  }).join('');
+}
+
+// An answer's body: structured answers as steps + final answer card, anything
+// else as formatted text. With a choice card above it, the final answer card
+// would repeat it.
+function renderAnswer(text, structured, choice = null, streaming = false) {
+  return structured
+    ? renderStructuredAnswer(structured, { showFinalAnswer: !choice, streaming })
+    : formatResponse(text, { streaming });
+}
+
+// Steps as a collapsible list (open while streaming and for short
+// solutions), then assumptions and the final answer card
+function renderStructuredAnswer({ steps, finalAnswer, assumptions }, { showFinalAnswer = true, streaming = false } = {}) {
+  const stepsList = steps.length > 0 ? `
+    <details class="cps-steps"${streaming || steps.length <= 4 ? ' open' : ''}>
+      <summary>${steps.length} step${steps.length === 1 ? '' : 's'}</summary>
+      <ol>${steps.map(step => `<li>${formatResponse(step, { streaming })}</li>`).join('')}</ol>
+    </details>
+  ` : '';
+  const assumptionsList = assumptions.length > 0 ? `
+    <div class="cps-assumptions">
+      <div class="cps-assumptions-label">Assumptions</div>
+      <ul>${assumptions.map(assumption => `<li>${formatResponse(assumption, { streaming })}</li>`).join('')}</ul>
+    </div>
+  ` : '';
+  const finalCard = showFinalAnswer && finalAnswer ? `
+    <div class="cps-final-answer">
+      <div class="cps-final-answer-label">Final Answer</div>
+      <div class="cps-final-answer-value">${formatResponse(finalAnswer, { streaming })}</div>
+    </div>
+  ` : '';
+  return `<div class="cps-structured">${stepsList}${assumptionsList}${finalCard}</div>`;
+}
+
+// Outcome of the local check of a math answer, with what was computed
+function renderVerification({ status, message, certain }) {
+  const labels = {
+    verified: '✓ Verified',
+    mismatch: certain ? '✗ Mismatch' : '✗ Possible mismatch',
+    unverified: '? Could not verify'
+  };
+  return `
+    <div class="cps-verification cps-verification-${status}">
+      <span class="cps-verification-label">${labels[status] || labels.unverified}</span>
+      <span class="cps-verification-detail">${escapeHtml(message)}</span>
+    </div>
+  `;
+}
+
+// How many self-consistency samples agree with the answer; the answers the
+// others gave can be expanded, each with one sample's full response
+function renderConsistency({ votes, samples, alternatives }) {
+  const others = alternatives.length > 0 ? `
+    <details class="cps-alternatives">
+      <summary>${alternatives.length} other answer${alternatives.length === 1 ? '' : 's'}</summary>
+      ${alternatives.map(({ answer, votes: altVotes, response }) => `
+        <details class="cps-alternative">
+          <summary>
+            <span class="cps-alternative-answer">${escapeHtml(answer || 'No final answer')}</span>
+            <span class="cps-alternative-votes">${altVotes}/${samples}</span>
+          </summary>
+          <div class="cps-alternative-response">${formatResponse(response)}</div>
+        </details>
+      `).join('')}
+    </details>
+  ` : '';
+  return `
+    <div class="cps-consistency">
+      <span class="cps-consistency-badge${votes === samples ? ' cps-unanimous' : ''}">${votes}/${samples} samples agree</span>
+      ${others}
+    </div>
+  `;
+}
+
+// Both models' final answers side by side with whether they agree, and the
+// second model's full answer on demand
+function renderSecondOpinion({ modelName, secondOpinion }) {
+  const badges = {
+    agree: '<span class="cps-opinion-badge cps-agree">✓ Agree</span>',
+    disagree: '<span class="cps-opinion-badge cps-disagree">✗ Disagree</span>',
+    unknown: '<span class="cps-opinion-badge">? No final answers to compare</span>'
+  };
+  const column = (name, answer) => `
+    <div class="cps-opinion">
+      <div class="cps-opinion-model">${escapeHtml(name || 'First answer')}</div>
+      <div class="cps-opinion-answer">${answer ? formatResponse(answer) : '—'}</div>
+    </div>
+  `;
+  return `
+    <div class="cps-second-opinion">
+      <div class="cps-opinion-header">Second opinion ${badges[secondOpinion.agreement] || badges.unknown}</div>
+      <div class="cps-opinion-columns">
+        ${column(modelName, secondOpinion.primaryAnswer)}
+        ${column(secondOpinion.modelName, secondOpinion.finalAnswer)}
+      </div>
+      <details class="cps-opinion-response">
+        <summary>Full answer from ${escapeHtml(secondOpinion.modelName)}</summary>
+        ${renderAnswer(secondOpinion.response, secondOpinion.structured)}
+      </details>
+    </div>
+  `;
+}
+
+// Render which model answered (and whether it was a fallback or cached)
+function renderModelBadge({ modelName, fallback, cached }) {
+  return `<div class="cps-message-model${cached ? ' cps-cached' : ''}">${cached ? 'Cached · ' : ''}${fallback ? 'Fallback: ' : ''}${escapeHtml(modelName)}</div>`;
+}
+
+// The option a multiple-choice answer picked, shown above the justification
+function renderChoiceCard({ key, text }) {
+  return `
+    <div class="cps-choice-card">
+      <span class="cps-choice-key">${escapeHtml(key)}</span>
+      <span class="cps-choice-text">${escapeHtml(text || 'Chosen answer')}</span>
+    </div>
+  `;
+}
+
+// Actions under a first answer: the detected category (pick another to re-run
+// as that kind of problem), a second opinion from another provider's model
+// and, for cached answers, a refresh from the model
+function renderAnswerActions(cached, detected, secondOpinion = null) {
+  const categorySelect = detected && detected.categories.length > 0 ? `
+    <label class="cps-category">
+      Detected as
+      <select class="cps-category-select" title="Re-run as a different kind of problem">
+        ${detected.categories.map(({ category, label, score }) => `
+          <option value="${category}"${category === detected.category ? ' selected' : ''}>${label}${score > 0 ? ` (${Math.round(score * 100)}%)` : ''}</option>
+        `).join('')}
+      </select>
+    </label>
+  ` : '';
+  const refreshButton = cached
+    ? '<button class="cps-refresh-btn" title="Ask the model again instead of using the cached answer">↻ Refresh from model</button>'
+    : '';
+  const secondOpinionButton = secondOpinion
+    ? `<button class="cps-second-opinion-btn" title="Ask ${escapeHtml(secondOpinion.modelName)} the same question">⚖ Second opinion</button>`
+    : '';
+  return `<div class="cps-answer-actions">${categorySelect}<div class="cps-answer-buttons">${secondOpinionButton}${refreshButton}</div></div>`;
+}
+
+// Format response text. While streaming, code blocks whose fence is still
+// open are shown as plain text and highlighted once it closes.
+function formatResponse(text, { streaming = false } = {}) {
+  return renderMarkdown(text, {
+    renderCode: (code, language, open) => renderCodeBlock(code, language, streaming && open),
+    renderMath,
+    cleanText: cleanLatex
+  });
+}
+
+// Typeset a formula with KaTeX, with copy buttons. Half-finished or invalid
+// LaTeX (common mid-stream) is shown as source rather than KaTeX's red
+// error text.
+function renderMath(tex, display) {
+  if (typeof katex === 'undefined') {
+    return `<code class="cps-math-source">${escapeHtml(tex)}</code>`;
+  }
+  let html;
+  try {
+    html = katex.renderToString(tex, {
+      displayMode: display,
+      throwOnError: true,
+      trust: false,
+      strict: 'ignore',
+      maxSize: 20,
+      maxExpand: 500
+    });
+  } catch (error) {
+    return `<code class="cps-math-source">${escapeHtml(tex)}</code>`;
+  }
+  
+  return `
+    <span class="cps-math${display ? ' cps-math-display' : ''}" data-latex="${escapeHtml(tex)}">${html}<span class="cps-math-actions"><button class="cps-math-copy" data-format="latex" title="Copy as LaTeX">TeX</button><button class="cps-math-copy" data-format="text" title="Copy as plain text">Text</button></span></span>
+  `.trim();
+}
+
+// Readable one-line version of a formula: \frac{a+b}{2} -> (a+b)/2
+function latexToPlainText(tex) {
+  const group = (text) => (/^[\w.]+$/.test(text.trim()) ? text.trim() : `(${text.trim()})`);
+  let text = tex;
+  let previous;
+  
+  // Innermost groups first, until nothing changes, so nesting works out
+  do {
+    previous = text;
+    text = text
+      .replace(/\\begin\{([pbvBV]?matrix|array)\}(?:\{[^{}]*\})?([^{}]*?)\\end\{\1\}/g, (match, env, body) => {
+        const rows = body.split(/\\\\/).map(row => row.split('&').map(cell => cell.trim()).join(', '));
+        return `[${rows.filter(Boolean).map(row => `[${row}]`).join(', ')}]`;
+      })
+      .replace(/\\[dt]?frac\{([^{}]*)\}\{([^{}]*)\}/g, (match, a, b) => `${group(a)}/${group(b)}`)
+      .replace(/\\sqrt\[([^\]]*)\]\{([^{}]*)\}/g, (match, n, x) => `${n}√${group(x)}`)
+      .replace(/\\sqrt\{([^{}]*)\}/g, (match, x) => `√${group(x)}`)
+      .replace(/\\(?:text|textbf|mathrm|mathbf|mathit|mathbb|operatorname|boldsymbol)\{([^{}]*)\}/g, '$1')
+      .replace(/([\^_])\{([^{}]*)\}/g, (match, op, x) => `${op}${group(x)}`);
+  } while (text !== previous);
+  
+  return text
+    .replace(/\\\\/g, '; ')
+    .replace(/\\(?:left|right|big|Big|bigg|Bigg)\b/g, '')
+    .replace(/\\([a-zA-Z]+)/g, (match, name) => LATEX_SYMBOLS[name] ?? name)
+    .replace(/\\[,;:! ]/g, ' ')
+    .replace(/[{}]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Strip LaTeX markup from prose outside math (code and formulas are left
+// alone by renderMarkdown)
+function cleanLatex(text) {
+  return text
+    // Remove common LaTeX text formatting commands (convert to Markdown)
+    .replace(/\\textbf\{([^}]+)\}/g, '**$1**')
+    .replace(/\\textit\{([^}]+)\}/g, '*$1*')
+    .replace(/\\texttt\{([^}]+)\}/g, '`$1`')
     .replace(/\\text\{([^}]+)\}/g, '$1')
     // Remove other common LaTeX commands (extract content from braces)
     .replace(/\\[a-zA-Z]+\{([^}]+)\}/g, '$1')
@@ -750,26 +1948,124 @@ function formatResponse(text) {
     .replace(/\\\}/g, '}')
     // Remove standalone backslashes that might be LaTeX remnants
     .replace(/\\([^a-zA-Z{}_^$&#%])/g, '$1');
+}
+
+// Code block markup: highlighted code with line numbers under a toolbar with
+// the language, copy and download buttons and, for JavaScript, Run
+function renderCodeBlock(code, language, pending = false) {
+  const highlighted = pending ? plainCode(code, language) : highlightCode(code, language);
+  const runnable = RUNNABLE_LANGUAGES.includes(language) || highlighted.language === 'javascript';
+  const lineNumbers = code.split('\n').map((line, index) => index + 1).join('\n');
+  
+  return `<div class="cps-code-block">`
+    + `<div class="cps-code-toolbar"><span class="cps-code-language">${escapeHtml(highlighted.label)}</span>`
+    + '<span class="cps-code-buttons">'
+    + (runnable ? '<button class="cps-run-btn" title="Run in a sandbox">▶ Run</button>' : '')
+    + '<button class="cps-code-copy-btn" title="Copy code">Copy</button>'
+    + '<button class="cps-code-download-btn" title="Download as a file">Download</button>'
+    + '</span></div>'
+    + `<pre><span class="cps-code-lines">${lineNumbers}</span>`
+    + `<code class="hljs${highlighted.language ? ` language-${highlighted.language}` : ''}">${highlighted.html}</code></pre>`
+    + '</div>';
+}
+
+// Highlight with the bundled highlight.js: in the fence's language when it
+// knows it, otherwise in its best guess if that is confident enough.
+// Streaming re-renders every finished block per chunk, so results are cached.
+function highlightCode(code, language) {
+  // Not cached until highlight.js has been injected
+  if (typeof hljs === 'undefined') return plainCode(code, language);
+  const key = `${language}\u0000${code}`;
+  if (!highlightCache.has(key)) {
+    if (highlightCache.size >= 50) {
+      highlightCache.delete(highlightCache.keys().next().value);
+    }
+    highlightCache.set(key, highlightUncached(code, language));
+  }
+  return highlightCache.get(key);
+}
+
+function highlightUncached(code, language) {
+  const plain = plainCode(code, language);
+  
+  if (language) {
+    const definition = hljs.getLanguage(language);
+    if (!definition) return plain;
+    const name = hljs.listLanguages().find(candidate => hljs.getLanguage(candidate) === definition);
+    return {
+      html: hljs.highlight(code, { language: name, ignoreIllegals: true }).value,
+      language: name,
+      label: definition.name
+    };
+  }
   
-  // Basic formatting - preserve line breaks and basic markdown
-  return cleaned
-    .replace(/\n/g, '<br>')
-    .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-    .replace(/\*(.*?)\*/g, '<em>$1</em>')
-    .replace(/`(.*?)`/g, '<code>$1</code>');
+  const guess = hljs.highlightAuto(code);
+  if (!guess.language || guess.relevance < MIN_DETECTED_RELEVANCE) return plain;
+  return { html: guess.value, language: guess.language, label: hljs.getLanguage(guess.language).name };
+}
+
+// Code shown as it is, labelled with the fence's language
+function plainCode(code, language) {
+  return { html: escapeHtml(code), language: null, label: language || 'Plain text' };
+}
+
+// Escape text taken from the page or the model before putting it in markup
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 }
 
 // Display error
 function displayError(error) {
   const responseArea = overlayWindow.querySelector('.cps-response-area');
-  responseArea.innerHTML = `<div class="cps-error">Error: ${error}</div>`;
+  responseArea.innerHTML = `<div class="cps-error">Error: ${escapeHtml(error)}</div>`;
   updateConfidence(0);
 }
 
+// Display a hard budget block with a one-time override
+function displayBudgetBlocked(message, onOverride) {
+  const responseArea = overlayWindow.querySelector('.cps-response-area');
+  responseArea.innerHTML = `
+    <div class="cps-error cps-budget-blocked">
+      <div>${escapeHtml(message)}</div>
+      <button class="cps-budget-override-btn">Override once</button>
+    </div>
+  `;
+  responseArea.querySelector('.cps-budget-override-btn').addEventListener('click', onOverride);
+  updateConfidence(0);
+}
+
+// Display an image download error with a way to grant access to its host
+function displayImageAccessNeeded(message, origin) {
+  const host = origin.replace(/^https?:\/\//, '').replace(/\/\*$/, '');
+  const responseArea = overlayWindow.querySelector('.cps-response-area');
+  responseArea.innerHTML = `
+    <div class="cps-error cps-image-access">
+      <div>${escapeHtml(message)}</div>
+      <div>Allow the extension to download images from ${escapeHtml(host)}, then try again.</div>
+      <button class="cps-image-access-btn">Allow access…</button>
+    </div>
+  `;
+  responseArea.querySelector('.cps-image-access-btn').addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'requestImageAccess', origin });
+  });
+  updateConfidence(0);
+}
+
+// Show a soft budget warning above the response
+function showBudgetWarning(message) {
+  const responseArea = overlayWindow.querySelector('.cps-response-area');
+  if (!responseArea || responseArea.querySelector('.cps-budget-banner')) return;
+  responseArea.insertAdjacentHTML('afterbegin', `<div class="cps-budget-banner">⚠️ ${escapeHtml(message)}</div>`);
+}
+
 // Display message
 function displayMessage(message) {
   const responseArea = overlayWindow.querySelector('.cps-response-area');
-  responseArea.innerHTML = `<div class="cps-message">${message}</div>`;
+  responseArea.innerHTML = `<div class="cps-message">${escapeHtml(message)}</div>`;
 }
 
 // Update confidence indicator
@@ -791,10 +2087,15 @@ function updateConfidence(confidence) {
 }
 
 // Add to conversation history
-function addToHistory(conversation) {
+function addToHistory(conversation, thread = currentThread) {
   // Include thread if available
-  if (currentThread) {
-    conversation.thread = currentThread;
+  if (thread) {
+    conversation.thread = thread;
+  }
+  
+  // A refreshed answer replaces the entry for its thread
+  if (conversation.threadId) {
+    conversationHistory = conversationHistory.filter(item => item.threadId !== conversation.threadId);
   }
   
   conversationHistory.unshift(conversation);
@@ -806,15 +2107,15 @@ function addToHistory(conversation) {
   chrome.storage.local.set({ conversationHistory });
 }
 
-// Update history thread
-function updateHistoryThread(thread) {
+// Update history thread (and any other fields of its entry in changes)
+function updateHistoryThread(thread, changes = {}) {
   chrome.storage.local.get(['conversationHistory'], (result) => {
     const history = result.conversationHistory || [];
     
     // Find the history entry with matching threadId
     const index = history.findIndex(item => item.threadId === thread.id);
     if (index !== -1) {
-      history[index].thread = thread;
+      Object.assign(history[index], changes, { thread });
       chrome.storage.local.set({ conversationHistory: history });
     }
   });
@@ -837,9 +2138,9 @@ function loadHistory() {
         <div class="cps-history-item" data-index="${index}">
           <div class="cps-history-header">
             <span class="cps-history-time">${date.toLocaleString()}</span>
-            <span class="cps-history-confidence">${Math.round(item.confidence)}%</span>
+            <span class="cps-history-confidence">${item.stopped ? 'Stopped' : `${Math.round(item.confidence)}%`}</span>
           </div>
-          <div class="cps-history-text">${item.text.substring(0, 100)}${item.text.length > 100 ? '...' : ''}</div>
+          <div class="cps-history-text">${escapeHtml(item.text.substring(0, 100))}${item.text.length > 100 ? '...' : ''}</div>
         </div>
       `;
     }).join('');
@@ -859,30 +2160,14 @@ function displayHistoryItem(item) {
   // Restore thread if available
   if (item.thread) {
     currentThread = item.thread;
+    showThreadLanguage(currentThread);
     // Display full thread
     const responseArea = overlayWindow.querySelector('.cps-response-area');
     let threadHTML = '<div class="cps-conversation-thread">';
-    
-    currentThread.messages.forEach((msg) => {
-      if (msg.role === 'user') {
-        threadHTML += `
-          <div class="cps-message cps-user-message">
-            <div class="cps-message-content">${formatResponse(msg.text || '')}</div>
-          </div>
-        `;
-      } else if (msg.role === 'assistant') {
-        threadHTML += `
-          <div class="cps-message cps-assistant-message">
-            <div class="cps-message-content">${formatResponse(msg.text || '')}</div>
-            ${msg.confidence ? `<div class="cps-message-confidence">Confidence: ${Math.round(msg.confidence)}%</div>` : ''}
-          </div>
-        `;
-      }
-    });
-    
+    threadHTML += renderThreadMessages(currentThread.messages);
     threadHTML += '</div>';
     responseArea.innerHTML = threadHTML;
-    updateConfidence(item.confidence);
+    updateConfidence(item.stopped ? 0 : item.confidence);
   } else {
     displayResponse(item.response, item.confidence, item.responseTime);
   }
@@ -993,6 +2278,7 @@ function morphToAnalysisMode() {
           <button class="cps-send-btn" id="send-followup">Send</button>
         </div>
         <div class="cps-feedback">
+          ${renderLanguageSelect()}
           <button class="cps-feedback-btn cps-like" title="Like">👍</button>
           <button class="cps-feedback-btn cps-dislike" title="Dislike">👎</button>
         </div>
@@ -1007,6 +2293,9 @@ function morphToAnalysisMode() {
   setupTabs();
   setupFeedback();
   setupFollowUp();
+  setupCodeBlocks();
+  setupMathCopy();
+  setupLanguageSelect();
 }
 
 // Setup Welcome Bubble drag & drop
@@ -1115,16 +2404,7 @@ function handleWelcomeBubbleSubmit(text = null, imageData = null) {
   
   // Process image if provided
   if (imageData) {
-    if (typeof imageData === 'string' && !imageData.startsWith('data:')) {
-      // Convert image URL to base64
-      convertImageToBase64(imageData).then(base64 => {
-        sendAnalysisRequest(inputText || 'Analyze this image', base64);
-      }).catch(() => {
-        sendAnalysisRequest(inputText || 'Analyze this image', imageData);
-      });
-    } else {
-      sendAnalysisRequest(inputText || 'Analyze this image', imageData);
-    }
+    sendWithPreparedImage(inputText || 'Analyze this image', imageData);
   } else {
     sendAnalysisRequest(inputText);
   }
@@ -1138,6 +2418,12 @@ function handleImageFile(file) {
     return;
   }
   
+  // Far beyond anything we could compress into a provider's limits
+  if (file.size > MAX_UPLOAD_BYTES) {
+    alert(`This image is too large (${(file.size / (1024 * 1024)).toFixed(0)} MB). Please choose one under ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB.`);
+    return;
+  }
+  
   // Convert file to base64
   const reader = new FileReader();
   reader.onload = (e) => {
@@ -0,0 +1,614 @@
+// Chrome Problem Solver - Markdown Renderer
+// Turns model output into HTML for the overlay. A CommonMark-style block
+// parser (headings, block quotes, lists, fenced/indented code, GFM tables,
+// display math, thematic breaks, paragraphs) and inline parser (code spans,
+// math, emphasis, links, autolinks, backslash escapes). Text is escaped as
+// it is parsed and raw HTML is never passed through; the result still goes
+// through sanitizeHtml's allow list, because the overlay lives in the host
+// page.
+// Loaded as a content script ahead of content.js.
+
+const SAFE_URL_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+// Tags the overlay may show, with the attributes each may carry
+const ALLOWED_TAGS = {
+  p: [], br: [], hr: [], strong: [], em: [], del: [], code: ['class'], pre: ['class'],
+  blockquote: [], ul: [], ol: ['start'], li: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  table: [], thead: [], tbody: [], tr: [], th: ['align'], td: ['align'],
+  a: ['href', 'title'], span: ['class', 'title'], div: ['class'],
+  button: ['class', 'title'], details: ['class', 'open'], summary: []
+};
+
+// Removed with everything inside; any other unknown tag is unwrapped
+const DROPPED_TAGS = [
+  'script', 'style', 'iframe', 'frame', 'object', 'embed', 'svg', 'math', 'template',
+  'noscript', 'textarea', 'select', 'form', 'input', 'link', 'meta', 'base', 'title'
+];
+
+const ESCAPABLE = '!"#$%&\'()*+,-./:;<=>?@[\\]^_`{|}~';
+
+// Render Markdown to sanitized HTML. renderCode(code, language, open) may
+// supply the markup for code blocks, open meaning the fence hasn't been
+// closed (yet, while streaming); cleanText(text) is applied to prose (not code
+// or math) before inline parsing. renderMath(tex, display) supplies formula
+// markup; it is trusted (KaTeX output needs styles and MathML the allow list
+// doesn't have), so it is inserted after sanitizing.
+function renderMarkdown(text, options = {}) {
+  const lines = String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u0000-\u0002]/g, '')
+    .split('\n');
+  const trusted = [];
+  return sanitizeHtml(renderBlocks(lines, { ...options, trusted }, false), trusted);
+}
+
+function renderBlocks(lines, options, tight) {
+  const html = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (isBlank(line)) {
+      i++;
+      continue;
+    }
+
+    // Fenced code block (an unclosed fence runs to the end, as while streaming)
+    const fence = line.match(/^( {0,3})(`{3,}|~{3,})[ \t]*([^\s`]*)[^`]*$/);
+    if (fence) {
+      const [, indent, marker, info] = fence;
+      const closing = new RegExp(`^ {0,3}${marker[0] === '`' ? '`' : '~'}{${marker.length},}[ \\t]*$`);
+      const body = [];
+      i++;
+      while (i < lines.length && !closing.test(lines[i])) {
+        body.push(stripIndent(lines[i], indent.length));
+        i++;
+      }
+      const open = i >= lines.length;
+      i++;
+      html.push(renderCodeBlockHtml(body.join('\n'), info.toLowerCase(), options, open));
+      continue;
+    }
+
+    // Display math: $$ … $$ or \[ … \] on lines of their own (an unclosed
+    // block runs to the end, as while streaming)
+    const mathBlock = matchMathBlock(line);
+    if (mathBlock) {
+      const body = [];
+      let rest = mathBlock.rest;
+      i++;
+      while (!rest.includes(mathBlock.close) && i < lines.length) {
+        body.push(rest);
+        rest = lines[i];
+        i++;
+      }
+      body.push(rest.split(mathBlock.close)[0]);
+      html.push(renderMathHtml(body.join('\n').trim(), true, options));
+      continue;
+    }
+
+    const heading = matchHeading(line);
+    if (heading) {
+      html.push(`<h${heading.level}>${renderInline(heading.text, options)}</h${heading.level}>`);
+      i++;
+      continue;
+    }
+
+    if (isThematicBreak(line)) {
+      html.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (isBlockQuote(line)) {
+      const quoted = [];
+      while (i < lines.length && !isBlank(lines[i])) {
+        if (isBlockQuote(lines[i])) {
+          quoted.push(lines[i].replace(/^ {0,3}> ?/, ''));
+        } else if (startsBlock(lines, i)) {
+          break;
+        } else {
+          // Lazy continuation of a quoted paragraph
+          quoted.push(lines[i]);
+        }
+        i++;
+      }
+      html.push(`<blockquote>${renderBlocks(quoted, options, false)}</blockquote>`);
+      continue;
+    }
+
+    const item = matchListItem(line);
+    if (item) {
+      const list = collectList(lines, i, item);
+      html.push(renderList(list, options));
+      i = list.end;
+      continue;
+    }
+
+    if (/^(?: {4}|\t)/.test(line)) {
+      const body = [];
+      while (i < lines.length && (isBlank(lines[i]) || /^(?: {4}|\t)/.test(lines[i]))) {
+        body.push(stripIndent(lines[i], 4));
+        i++;
+      }
+      while (body.length && isBlank(body[body.length - 1])) body.pop();
+      html.push(renderCodeBlockHtml(body.join('\n'), '', options));
+      continue;
+    }
+
+    if (isTableStart(lines, i)) {
+      const table = collectTable(lines, i);
+      html.push(renderTable(table, options));
+      i = table.end;
+      continue;
+    }
+
+    // Paragraph, or a setext heading when underlined
+    const paragraph = [line.trim()];
+    let setextLevel = 0;
+    i++;
+    while (i < lines.length && !isBlank(lines[i])) {
+      const underline = lines[i].match(/^ {0,3}(=+|-+)[ \t]*$/);
+      if (underline) {
+        setextLevel = underline[1][0] === '=' ? 1 : 2;
+        i++;
+        break;
+      }
+      if (startsBlock(lines, i, true)) break;
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+
+    const content = renderInline(paragraph.join('\n'), options);
+    if (setextLevel) {
+      html.push(`<h${setextLevel}>${content}</h${setextLevel}>`);
+    } else {
+      html.push(tight ? content : `<p>${content}</p>`);
+    }
+  }
+
+  return html.join(tight ? '' : '\n');
+}
+
+function isBlank(line) {
+  return /^[ \t]*$/.test(line);
+}
+
+function stripIndent(line, count) {
+  let i = 0;
+  while (i < count && line[i] === ' ') i++;
+  if (i < count && line[i] === '\t') i++;
+  return line.slice(i);
+}
+
+function matchHeading(line) {
+  const match = line.match(/^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/);
+  return match ? { level: match[1].length, text: match[2] || '' } : null;
+}
+
+function isThematicBreak(line) {
+  return /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/.test(line);
+}
+
+function isBlockQuote(line) {
+  return /^ {0,3}>/.test(line);
+}
+
+function isFence(line) {
+  return /^ {0,3}(`{3,}|~{3,})/.test(line);
+}
+
+// A line opening display math. Only a block if nothing follows the closing
+// delimiter; "$$a$$ and $$b$$" is left to the inline parser.
+function matchMathBlock(line) {
+  const match = line.match(/^ {0,3}(\$\$|\\\[)(.*)$/);
+  if (!match) return null;
+
+  const close = match[1] === '$$' ? '$$' : '\\]';
+  const closeAt = match[2].indexOf(close);
+  if (closeAt !== -1 && match[2].slice(closeAt + close.length).trim()) return null;
+
+  return { close, rest: match[2] };
+}
+
+// Whether line i opens a new block. Inside a paragraph, only non-empty
+// bullets and lists starting at 1 may interrupt it (as in CommonMark).
+function startsBlock(lines, i, inParagraph = false) {
+  const line = lines[i];
+  if (isFence(line) || matchMathBlock(line) || matchHeading(line) || isThematicBreak(line) || isBlockQuote(line)) return true;
+  if (isTableStart(lines, i)) return true;
+
+  const item = matchListItem(line);
+  if (!item) return false;
+  if (!inParagraph) return true;
+  return item.content.trim() !== '' && (!item.ordered || item.start === 1);
+}
+
+function matchListItem(line) {
+  const match = line.match(/^( {0,3})([-+*]|\d{1,9}[.)])([ \t]+|$)(.*)$/);
+  if (!match) return null;
+
+  const [, indent, marker, spacing, content] = match;
+  const ordered = /\d/.test(marker);
+  // Content more than 4 spaces in is indented code inside the item
+  const gap = spacing.length > 4 ? 1 : Math.max(spacing.length, 1);
+
+  return {
+    indent: indent.length,
+    ordered,
+    start: ordered ? parseInt(marker, 10) : null,
+    delimiter: ordered ? marker.slice(-1) : marker,
+    offset: indent.length + marker.length + gap,
+    content: spacing.length > 4 ? `${' '.repeat(spacing.length - 1)}${content}` : content
+  };
+}
+
+// Gather the items of a list starting at line `start`
+function collectList(lines, start, first) {
+  const items = [];
+  let current = { offset: first.offset, lines: [first.content] };
+  let loose = false;
+  let sawBlank = false;
+  let i = start + 1;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (isBlank(line)) {
+      current.lines.push('');
+      sawBlank = true;
+      i++;
+      continue;
+    }
+
+    const indent = line.match(/^ */)[0].length;
+    if (indent >= current.offset) {
+      if (sawBlank && current.lines.some(l => !isBlank(l))) loose = true;
+      current.lines.push(stripIndent(line, current.offset));
+      sawBlank = false;
+      i++;
+      continue;
+    }
+
+    // Models often under-indent sub-lists ("1. Step" then "  - detail");
+    // nest those instead of ending the list
+    if (!sawBlank && indent >= first.indent + 2 && matchListItem(line)) {
+      current.lines.push(line.slice(indent));
+      i++;
+      continue;
+    }
+
+    const item = matchListItem(line);
+    if (item && !isThematicBreak(line) && item.ordered === first.ordered && item.delimiter === first.delimiter) {
+      if (sawBlank) loose = true;
+      items.push(current);
+      current = { offset: item.offset, lines: [item.content] };
+      sawBlank = false;
+      i++;
+      continue;
+    }
+
+    // Lazy continuation of the item's paragraph
+    if (!sawBlank && !startsBlock(lines, i)) {
+      current.lines.push(line.trim());
+      i++;
+      continue;
+    }
+
+    break;
+  }
+  items.push(current);
+
+  // Trailing blank lines belong after the list, not inside its last item
+  items.forEach(item => {
+    while (item.lines.length > 1 && isBlank(item.lines[item.lines.length - 1])) item.lines.pop();
+  });
+
+  return { ordered: first.ordered, start: first.start, items, loose, end: i };
+}
+
+function renderList({ ordered, start, items, loose }, options) {
+  const tag = ordered ? 'ol' : 'ul';
+  const startAttr = ordered && start !== 1 ? ` start="${start}"` : '';
+  const body = items
+    .map(item => `<li>${renderBlocks(item.lines, options, !loose)}</li>`)
+    .join('\n');
+  return `<${tag}${startAttr}>\n${body}\n</${tag}>`;
+}
+
+// GFM table: a header row followed by a delimiter row with as many cells
+function isTableStart(lines, i) {
+  const header = lines[i];
+  const delimiter = lines[i + 1];
+  if (!header || !delimiter || !header.includes('|')) return false;
+  if (!/^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/.test(delimiter)) return false;
+  if (!delimiter.includes('|')) return false;
+  return splitRow(header).length === splitRow(delimiter).length;
+}
+
+function splitRow(line) {
+  const cells = [];
+  let cell = '';
+  const row = line.trim().replace(/^\|/, '');
+
+  for (let i = 0; i < row.length; i++) {
+    if (row[i] === '\\' && row[i + 1] === '|') {
+      cell += '|';
+      i++;
+    } else if (row[i] === '|') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += row[i];
+    }
+  }
+  if (cell.trim() || !row.endsWith('|')) cells.push(cell.trim());
+
+  return cells;
+}
+
+function collectTable(lines, start) {
+  const header = splitRow(lines[start]);
+  const align = splitRow(lines[start + 1]).map(cell => {
+    if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+    if (cell.endsWith(':')) return 'right';
+    if (cell.startsWith(':')) return 'left';
+    return null;
+  });
+
+  const rows = [];
+  let i = start + 2;
+  while (i < lines.length && !isBlank(lines[i]) && !(startsBlock(lines, i) && !lines[i].includes('|'))) {
+    rows.push(splitRow(lines[i]));
+    i++;
+  }
+
+  return { header, align, rows, end: i };
+}
+
+function renderTable({ header, align, rows }, options) {
+  const cell = (tag, text, index) => {
+    const alignAttr = align[index] ? ` align="${align[index]}"` : '';
+    return `<${tag}${alignAttr}>${renderInline(text || '', options)}</${tag}>`;
+  };
+
+  const head = `<tr>${header.map((text, index) => cell('th', text, index)).join('')}</tr>`;
+  const body = rows
+    .map(row => `<tr>${header.map((_, index) => cell('td', row[index], index)).join('')}</tr>`)
+    .join('\n');
+
+  return `<table>\n<thead>${head}</thead>\n${body ? `<tbody>\n${body}\n</tbody>\n` : ''}</table>`;
+}
+
+function renderMathHtml(tex, display, options) {
+  if (!options.renderMath) {
+    const source = escapeMarkup(tex);
+    return display ? `<pre><code>${source}</code></pre>` : `<code>${source}</code>`;
+  }
+  return `\u0002${options.trusted.push(options.renderMath(tex, display)) - 1}\u0002`;
+}
+
+function renderCodeBlockHtml(code, language, options, open = false) {
+  if (options.renderCode) return options.renderCode(code, language, open);
+  const languageClass = /^[\w+-]+$/.test(language) ? ` class="language-${language}"` : '';
+  return `<pre><code${languageClass}>${escapeMarkup(code)}</code></pre>`;
+}
+
+// Inline content. Code spans, escapes and links are swapped for placeholders
+// first so emphasis and escaping can't reach inside them.
+function renderInline(text, options) {
+  const tokens = [];
+  const hold = (html) => `\u0001${tokens.push(html) - 1}\u0001`;
+
+  let result = text;
+
+  // Code spans: a run of backticks closed by a run of the same length
+  const holdCodeSpans = (value) => value.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => {
+    let content = code.replace(/\n/g, ' ');
+    if (/^ .* $/.test(content) && content.trim()) content = content.slice(1, -1);
+    return hold(`<code>${escapeMarkup(content)}</code>`);
+  });
+
+  result = holdCodeSpans(result);
+
+  // Math: \( \), \[ \], $$ $$ and $ $. A single $ only opens before a
+  // non-space and closes after one, not followed by a digit, so prices
+  // ("$5 and $10") stay text. Unclosed math (mid-stream) stays text too.
+  result = result
+    .replace(/\\\[([\s\S]+?)\\\]|\$\$([\s\S]+?)\$\$/g, (match, bracketed, dollars) => (
+      hold(renderMathHtml((bracketed || dollars).trim(), true, options))
+    ))
+    .replace(/\\\(([\s\S]+?)\\\)/g, (match, tex) => hold(renderMathHtml(tex.trim(), false, options)))
+    .replace(/(^|[^\\$])\$(?![\s$])((?:\\.|[^$\\\n])+?)(?<![\s\\])\$(?![\d$])/g, (match, before, tex) => (
+      before + hold(renderMathHtml(tex, false, options))
+    ));
+
+  // cleanText may itself produce code spans
+  if (options.cleanText) {
+    result = holdCodeSpans(result.replace(/[^\u0001]+/g, part => options.cleanText(part)));
+  }
+
+  // Hard line breaks (two trailing spaces or a backslash) and literal <br>s
+  result = result
+    .replace(/(?: {2,}|\\)\n/g, () => hold('<br>'))
+    .replace(/<br\s*\/?>/gi, () => hold('<br>'));
+
+  // Backslash escapes
+  result = result.replace(/\\([\s\S])/g, (match, char) => (
+    ESCAPABLE.includes(char) ? hold(escapeMarkup(char)) : match
+  ));
+
+  // Autolinks <https://…>
+  result = result.replace(/<((?:https?:\/\/|mailto:)[^\s<>]+)>/gi, (match, url) => (
+    hold(renderLink(url, escapeMarkup(url)))
+  ));
+
+  // Links [text](url "title") and images, which are shown as links so the
+  // host page never loads anything the model points at. A URL can't hold a
+  // placeholder (math or a code span inside it); that isn't a link.
+  result = result.replace(/(!?)\[([^\]\u0001]*(?:\u0001\d+\u0001[^\]\u0001]*)*)\]\(\s*<?([^\s<>()\u0001]*(?:\([^\s<>()\u0001]*\)[^\s<>()\u0001]*)*)>?(?:\s+"([^"]*)")?\s*\)/g, (match, bang, label, url, title) => {
+    const inner = renderEmphasis(escapeMarkup(label)) || escapeMarkup(url);
+    return hold(renderLink(url, bang ? `🖼 ${inner}` : inner, title && title.replace(/\u0001\d+\u0001/g, '')));
+  });
+
+  // Bare URLs
+  result = result.replace(/\bhttps?:\/\/[^\s<>\u0001\u0002]*[^\s<>\u0001\u0002.,:;!?"')\]*_]/g, (url) => (
+    hold(renderLink(url, escapeMarkup(url)))
+  ));
+
+  result = renderEmphasis(escapeMarkup(result)).replace(/\n/g, '<br>');
+
+  // Placeholders can nest (a link label holding a code span)
+  while (/\u0001\d+\u0001/.test(result)) {
+    result = result.replace(/\u0001(\d+)\u0001/g, (match, index) => tokens[index]);
+  }
+  return result;
+}
+
+// Emphasis on already-escaped text: **strong**, *em*, __strong__, _em_ and
+// ~~strikethrough~~. Underscores only count at word boundaries.
+function renderEmphasis(html) {
+  return html
+    .replace(/\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/g, '<strong><em>$1</em></strong>')
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w_])__(?=\S)([\s\S]*?\S)__(?![\w_])/g, '$1<strong>$2</strong>')
+    .replace(/\*(?=[^\s*])([^*]*?[^\s*])\*/g, '<em>$1</em>')
+    .replace(/\*(?=[^\s*])([^*\s])\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w_])_(?=[^\s_])([\s\S]*?[^\s_])_(?![\w_])/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+}
+
+function renderLink(url, innerHtml, title) {
+  const href = safeUrl(url);
+  if (!href) return innerHtml;
+  const titleAttr = title ? ` title="${escapeMarkup(title)}"` : '';
+  return `<a href="${escapeMarkup(href)}"${titleAttr}>${innerHtml}</a>`;
+}
+
+// Absolute http(s)/mailto URLs only; anything else is not linked
+function safeUrl(url) {
+  const value = String(url || '').trim();
+  if (!/^[a-z][a-z\d+.-]*:/i.test(value)) return null;
+  try {
+    const parsed = new URL(value);
+    return SAFE_URL_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function escapeMarkup(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Allow-list sanitizer. Parses into an inert template (nothing loads or
+// runs), drops or unwraps disallowed elements and strips every attribute
+// not listed for its tag. Classes are limited to the overlay's own and
+// highlight.js token classes.
+// Markers for trusted markup are then swapped in, in text positions only.
+function sanitizeHtml(html, trusted = []) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  sanitizeNode(template.content);
+  insertTrusted(template.content, trusted);
+  return template.innerHTML;
+}
+
+function insertTrusted(root, trusted) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  while (walker.nextNode()) {
+    if (walker.currentNode.data.includes('\u0002')) nodes.push(walker.currentNode);
+  }
+
+  nodes.forEach(node => {
+    const parts = node.data.split(/\u0002(\d+)\u0002/);
+    const fragment = document.createDocumentFragment();
+    parts.forEach((part, index) => {
+      if (index % 2 === 0) {
+        if (part) fragment.append(part.replace(/\u0002/g, ''));
+        return;
+      }
+      const slot = document.createElement('template');
+      slot.innerHTML = trusted[part] || '';
+      fragment.append(slot.content);
+    });
+    node.replaceWith(fragment);
+  });
+}
+
+function sanitizeNode(parent) {
+  [...parent.childNodes].forEach(node => {
+    if (node.nodeType === Node.TEXT_NODE) return;
+
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      node.remove();
+      return;
+    }
+
+    const tag = node.localName;
+    if (DROPPED_TAGS.includes(tag) || node.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+      node.remove();
+      return;
+    }
+
+    sanitizeNode(node);
+
+    if (!Object.prototype.hasOwnProperty.call(ALLOWED_TAGS, tag)) {
+      node.replaceWith(...node.childNodes);
+      return;
+    }
+
+    [...node.attributes].forEach(({ name, value }) => {
+      if (!ALLOWED_TAGS[tag].includes(name) || !isSafeAttribute(name, value)) {
+        node.removeAttribute(name);
+      } else if (name === 'class') {
+        node.setAttribute(name, getAllowedClasses(value).join(' '));
+      } else if (value.includes('\u0002')) {
+        node.setAttribute(name, value.replace(/\u0002\d*/g, ''));
+      }
+    });
+
+    if (tag === 'a') {
+      if (!node.hasAttribute('href')) {
+        node.replaceWith(...node.childNodes);
+        return;
+      }
+      node.setAttribute('target', '_blank');
+      node.setAttribute('rel', 'noopener noreferrer nofollow');
+    }
+  });
+}
+
+// The allowed tokens of a class attribute. hljs scopes come as
+// "hljs-title function_": a prefixed class plus underscore-suffixed
+// sub-scopes, which are only kept next to an hljs- class.
+function getAllowedClasses(value) {
+  const tokens = value.split(/\s+/);
+  const highlighted = tokens.some(token => /^hljs-[\w-]+$/.test(token));
+  return tokens.filter(token =>
+    /^(?:(?:cps|language|hljs)-[\w-]+|hljs)$/.test(token) || (highlighted && /^[a-z]+_+$/.test(token))
+  );
+}
+
+function isSafeAttribute(name, value) {
+  switch (name) {
+    case 'href':
+      return safeUrl(value) !== null;
+    case 'class':
+      return getAllowedClasses(value).length > 0;
+    case 'align':
+      return ['left', 'center', 'right'].includes(value);
+    case 'start':
+      return /^\d{1,9}$/.test(value);
+    default:
+      return true;
+  }
+}
@@ -12,13 +12,76 @@ const CLAUDE_MODELS = {
   'claude-opus-4-8': 'Claude Opus 4.8'
 };
 
+// Default prices in USD per 1M tokens (keep in sync with background.js)
+const DEFAULT_MODEL_PRICES = {
+  'gpt-4.1-nano': { input: 0.10, output: 0.40 },
+  'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'gpt-4.1': { input: 2.00, output: 8.00 },
+  'claude-haiku-4-5-20251001': { input: 1.00, output: 5.00 },
+  'claude-sonnet-4-6': { input: 3.00, output: 15.00 },
+  'claude-opus-4-8': { input: 5.00, output: 25.00 }
+};
+
+// Languages answers can be written in (keep in sync with content.js)
+const RESPONSE_LANGUAGES = [
+  'English', 'Spanish', 'French', 'German', 'Italian', 'Portuguese', 'Dutch', 'Polish',
+  'Ukrainian', 'Russian', 'Turkish', 'Arabic', 'Hebrew', 'Hindi', 'Chinese', 'Japanese',
+  'Korean', 'Vietnamese', 'Indonesian', 'Greek', 'Thai'
+];
+
+// Masked API key inputs and the settings field each one maps to
+const KEY_FIELDS = {
+  'openai-key': 'openaiKey',
+  'claude-key': 'claudeKey',
+  'custom-key': 'customKey'
+};
+
+const PROVIDER_NAMES = {
+  'openai': 'OpenAI',
+  'claude': 'Claude',
+  'openai-compatible': 'OpenAI-compatible'
+};
+
 let currentSettings = {
   provider: 'openai',
   model: 'gpt-4.1-mini',
   openaiKey: '',
-  claudeKey: ''
+  claudeKey: '',
+  customBaseUrl: '',
+  customModel: '',
+  customKey: '',
+  fallbackChain: [],
+  fallbackOn: ['auth', 'quota', 'outage'],
+  budgets: {
+    softPercent: 80,
+    global: { daily: 0, monthly: 0 },
+    providers: {}
+  },
+  quickActions: [],
+  cache: {
+    enabled: true,
+    ttlHours: 24,
+    maxEntries: 200
+  },
+  selfConsistency: {
+    enabled: false,
+    samples: 5,
+    temperature: 0.7
+  },
+  secondOpinion: {
+    auto: false,
+    categories: ['math', 'physics', 'chemistry', 'multiple-choice']
+  },
+  modelPrices: {}
 };
 
+// Default prompt templates per category ({ label, system, user }), from background.js
+let promptDefaults = {};
+
+// The user's edits ({ category: { system?, user? } }, only fields that differ
+// from the defaults); stored in local storage next to, not inside, settings
+let promptTemplates = {};
+
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
   loadSettings();
@@ -26,8 +89,14 @@ document.addEventListener('DOMContentLoaded', () => {
   setupProviderCards();
   setupModelSelector();
   setupToggleVisibility();
+  setupFallbackChain();
+  setupPriceTable();
+  setupLanguageSelect();
+  setupPromptTemplates();
+  setupQuickActions();
   setupSaveButton();
   setupDataButtons();
+  setupImageAccessRequest();
 });
 
 // Load settings from storage
@@ -50,12 +119,107 @@ function applySettings() {
   // Model selector
   updateModelSelector();
   
+  // Custom endpoint
+  document.getElementById('custom-base-url').value = currentSettings.customBaseUrl || '';
+  document.getElementById('custom-model').value = currentSettings.customModel || '';
+  updateProviderSections();
+  
   // API keys (masked)
-  document.getElementById('openai-key').value = currentSettings.openaiKey ? '••••••••' : '';
-  document.getElementById('claude-key').value = currentSettings.claudeKey ? '••••••••' : '';
+  Object.entries(KEY_FIELDS).forEach(([inputId, keyName]) => {
+    document.getElementById(inputId).value = currentSettings[keyName] ? '••••••••' : '';
+  });
+  
+  // Fallback chain
+  renderFallbackList();
+  document.querySelectorAll('.fallback-on').forEach(checkbox => {
+    checkbox.checked = currentSettings.fallbackOn.includes(checkbox.value);
+  });
   
   // Preferences
+  document.getElementById('response-language').value = currentSettings.responseLanguage || '';
   document.getElementById('track-usage').checked = currentSettings.trackUsage !== false;
+  document.getElementById('highlight-choices').checked = currentSettings.highlightChoices !== false;
+  document.getElementById('structured-answers').checked = currentSettings.structuredAnswers !== false;
+  applyBudgets();
+  applyCacheSettings();
+  applySelfConsistency();
+  document.getElementById('second-opinion-auto').checked = !!currentSettings.secondOpinion.auto;
+  document.querySelectorAll('.second-opinion-category').forEach(checkbox => {
+    checkbox.checked = currentSettings.secondOpinion.categories.includes(checkbox.value);
+  });
+  renderPriceTable();
+  renderQuickActions();
+}
+
+// Fill the response cache inputs
+function applyCacheSettings() {
+  const cache = currentSettings.cache;
+  document.getElementById('cache-enabled').checked = cache.enabled !== false;
+  document.getElementById('cache-ttl').value = cache.ttlHours;
+  document.getElementById('cache-max-entries').value = cache.maxEntries;
+}
+
+// Read the response cache inputs back into settings
+function readCacheSettings() {
+  const ttlHours = parseInt(document.getElementById('cache-ttl').value, 10);
+  const maxEntries = parseInt(document.getElementById('cache-max-entries').value, 10);
+  return {
+    enabled: document.getElementById('cache-enabled').checked,
+    ttlHours: ttlHours >= 1 ? ttlHours : 24,
+    maxEntries: maxEntries >= 1 ? maxEntries : 200
+  };
+}
+
+// Fill the self-consistency inputs
+function applySelfConsistency() {
+  const selfConsistency = currentSettings.selfConsistency;
+  document.getElementById('self-consistency-enabled').checked = !!selfConsistency.enabled;
+  document.getElementById('self-consistency-samples').value = selfConsistency.samples;
+  document.getElementById('self-consistency-temperature').value = selfConsistency.temperature;
+}
+
+// Read the self-consistency inputs back into settings
+function readSelfConsistency() {
+  const samples = parseInt(document.getElementById('self-consistency-samples').value, 10);
+  const temperature = parseFloat(document.getElementById('self-consistency-temperature').value);
+  return {
+    enabled: document.getElementById('self-consistency-enabled').checked,
+    samples: samples >= 3 ? Math.min(samples, 9) : 5,
+    temperature: temperature > 0 ? Math.min(temperature, 1.5) : 0.7
+  };
+}
+
+// Fill the budget inputs (0 = no limit, shown empty)
+function applyBudgets() {
+  const budgets = currentSettings.budgets;
+  document.querySelectorAll('.budget-input').forEach(input => {
+    const limits = input.dataset.scope === 'global'
+      ? budgets.global
+      : (budgets.providers || {})[input.dataset.scope];
+    const limit = limits ? limits[input.dataset.period] : 0;
+    input.value = limit ? limit : '';
+  });
+  document.getElementById('budget-soft-percent').value = budgets.softPercent || 80;
+}
+
+// Read the budget inputs back into settings
+function readBudgets() {
+  const budgets = { softPercent: 80, global: { daily: 0, monthly: 0 }, providers: {} };
+  document.querySelectorAll('.budget-input').forEach(input => {
+    const value = parseFloat(input.value);
+    const limit = isNaN(value) || value < 0 ? 0 : value;
+    if (input.dataset.scope === 'global') {
+      budgets.global[input.dataset.period] = limit;
+    } else {
+      const limits = budgets.providers[input.dataset.scope] || { daily: 0, monthly: 0 };
+      limits[input.dataset.period] = limit;
+      budgets.providers[input.dataset.scope] = limits;
+    }
+  });
+  
+  const softPercent = parseInt(document.getElementById('budget-soft-percent').value, 10);
+  budgets.softPercent = softPercent >= 1 && softPercent <= 100 ? softPercent : 80;
+  return budgets;
 }
 
 // Setup tabs
@@ -84,10 +248,18 @@ function setupProviderCards() {
       card.classList.add('active');
       currentSettings.provider = card.dataset.provider;
       updateModelSelector();
+      updateProviderSections();
     });
   });
 }
 
+// Show the custom endpoint fields or the model list, depending on provider
+function updateProviderSections() {
+  const isCustom = currentSettings.provider === 'openai-compatible';
+  document.getElementById('custom-endpoint-section').style.display = isCustom ? 'block' : 'none';
+  document.getElementById('model-selection-section').style.display = isCustom ? 'none' : 'block';
+}
+
 // Update model selector
 function updateModelSelector() {
   const modelSelect = document.getElementById('model-select');
@@ -126,6 +298,477 @@ function setupModelSelector() {
   updateModelSelector();
 }
 
+// Setup fallback chain editor
+function setupFallbackChain() {
+  renderFallbackList();
+  
+  document.getElementById('add-fallback').addEventListener('click', () => {
+    // Suggest the first model that isn't already in use
+    const used = [`${currentSettings.provider}:${currentSettings.model}`,
+      ...currentSettings.fallbackChain.map(target => `${target.provider}:${target.model}`)];
+    const next = getFallbackOptions().find(option => !used.includes(option.value));
+    if (!next) return;
+    
+    currentSettings.fallbackChain.push({ provider: next.provider, model: next.model });
+    renderFallbackList();
+  });
+  
+  document.querySelectorAll('.fallback-on').forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+      currentSettings.fallbackOn = Array.from(document.querySelectorAll('.fallback-on'))
+        .filter(input => input.checked)
+        .map(input => input.value);
+    });
+  });
+}
+
+// All { provider, model } choices for the fallback chain
+function getFallbackOptions() {
+  const options = [];
+  Object.entries(OPENAI_MODELS).forEach(([model, name]) => {
+    options.push({ value: `openai:${model}`, provider: 'openai', model, label: name, group: 'OpenAI' });
+  });
+  Object.entries(CLAUDE_MODELS).forEach(([model, name]) => {
+    options.push({ value: `claude:${model}`, provider: 'claude', model, label: name, group: 'Claude' });
+  });
+  if (currentSettings.customModel) {
+    options.push({
+      value: `openai-compatible:${currentSettings.customModel}`,
+      provider: 'openai-compatible',
+      model: currentSettings.customModel,
+      label: currentSettings.customModel,
+      group: 'OpenAI-compatible'
+    });
+  }
+  return options;
+}
+
+// Render the ordered fallback list
+function renderFallbackList() {
+  const list = document.getElementById('fallback-list');
+  const options = getFallbackOptions();
+  list.innerHTML = '';
+  
+  if (currentSettings.fallbackChain.length === 0) {
+    list.innerHTML = '<p class="field-hint">No fallbacks: requests fail if the primary model fails.</p>';
+    return;
+  }
+  
+  currentSettings.fallbackChain.forEach((target, index) => {
+    const row = document.createElement('div');
+    row.className = 'fallback-row';
+    
+    const order = document.createElement('span');
+    order.className = 'fallback-order';
+    order.textContent = `${index + 1}.`;
+    row.appendChild(order);
+    
+    const select = document.createElement('select');
+    select.className = 'options-select';
+    const groups = {};
+    options.forEach(option => {
+      if (!groups[option.group]) {
+        groups[option.group] = document.createElement('optgroup');
+        groups[option.group].label = option.group;
+        select.appendChild(groups[option.group]);
+      }
+      const el = document.createElement('option');
+      el.value = option.value;
+      el.textContent = option.label;
+      groups[option.group].appendChild(el);
+    });
+    select.value = `${target.provider}:${target.model}`;
+    select.addEventListener('change', () => {
+      // Provider IDs never contain ':', model names may
+      const separator = select.value.indexOf(':');
+      currentSettings.fallbackChain[index] = {
+        provider: select.value.slice(0, separator),
+        model: select.value.slice(separator + 1)
+      };
+    });
+    row.appendChild(select);
+    
+    [
+      { label: '↑', title: 'Move up', disabled: index === 0, move: -1 },
+      { label: '↓', title: 'Move down', disabled: index === currentSettings.fallbackChain.length - 1, move: 1 }
+    ].forEach(({ label, title, disabled, move }) => {
+      const btn = document.createElement('button');
+      btn.className = 'fallback-btn';
+      btn.textContent = label;
+      btn.title = title;
+      btn.disabled = disabled;
+      btn.addEventListener('click', () => {
+        const chain = currentSettings.fallbackChain;
+        [chain[index], chain[index + move]] = [chain[index + move], chain[index]];
+        renderFallbackList();
+      });
+      row.appendChild(btn);
+    });
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'fallback-btn';
+    removeBtn.textContent = '×';
+    removeBtn.title = 'Remove';
+    removeBtn.addEventListener('click', () => {
+      currentSettings.fallbackChain.splice(index, 1);
+      renderFallbackList();
+    });
+    row.appendChild(removeBtn);
+    
+    list.appendChild(row);
+  });
+}
+
+// Setup price table
+function setupPriceTable() {
+  renderPriceTable();
+  
+  document.getElementById('reset-prices').addEventListener('click', () => {
+    currentSettings.modelPrices = {};
+    renderPriceTable();
+  });
+}
+
+// Render an editable row per known model (plus the custom model, if any)
+function renderPriceTable() {
+  const body = document.getElementById('price-table-body');
+  const models = { ...OPENAI_MODELS, ...CLAUDE_MODELS };
+  if (currentSettings.customModel) {
+    models[currentSettings.customModel] = currentSettings.customModel;
+  }
+  
+  body.innerHTML = '';
+  Object.entries(models).forEach(([model, name]) => {
+    const price = currentSettings.modelPrices[model] || DEFAULT_MODEL_PRICES[model] || { input: 0, output: 0 };
+    const row = document.createElement('tr');
+    
+    const nameCell = document.createElement('td');
+    nameCell.textContent = name;
+    row.appendChild(nameCell);
+    
+    ['input', 'output'].forEach(side => {
+      const cell = document.createElement('td');
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = '0';
+      input.step = '0.01';
+      input.className = 'options-input price-input';
+      input.value = price[side];
+      input.addEventListener('input', () => {
+        const value = parseFloat(input.value);
+        currentSettings.modelPrices[model] = {
+          ...(currentSettings.modelPrices[model] || price),
+          [side]: isNaN(value) ? 0 : value
+        };
+      });
+      cell.appendChild(input);
+      row.appendChild(cell);
+    });
+    
+    body.appendChild(row);
+  });
+}
+
+// Fill the response language dropdown
+function setupLanguageSelect() {
+  const select = document.getElementById('response-language');
+  RESPONSE_LANGUAGES.forEach(language => {
+    const option = document.createElement('option');
+    option.value = language;
+    option.textContent = language;
+    select.appendChild(option);
+  });
+}
+
+// Prompts tab: edit one category's templates at a time
+function setupPromptTemplates() {
+  const select = document.getElementById('prompt-category');
+  
+  chrome.runtime.sendMessage({ action: 'getPromptDefaults' }, (response) => {
+    promptDefaults = response?.categories || {};
+    chrome.storage.local.get(['promptTemplates'], (result) => {
+      promptTemplates = result.promptTemplates || {};
+      renderPromptCategories();
+      showPromptTemplate();
+    });
+  });
+  
+  select.addEventListener('change', showPromptTemplate);
+  
+  document.querySelectorAll('.prompt-template').forEach(textarea => {
+    textarea.addEventListener('input', () => {
+      readPromptTemplate();
+      renderPromptCategories();
+    });
+  });
+  
+  document.getElementById('reset-prompt').addEventListener('click', () => {
+    delete promptTemplates[select.value];
+    showPromptTemplate();
+    renderPromptCategories();
+  });
+  
+  document.getElementById('export-prompts').addEventListener('click', () => {
+    const templates = Object.fromEntries(Object.keys(promptDefaults).map(id => [id, getPromptTemplate(id)]));
+    const json = JSON.stringify({ version: 1, templates }, null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `chrome-problem-solver-prompts-${Date.now()}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  });
+  
+  const fileInput = document.getElementById('import-prompts-file');
+  document.getElementById('import-prompts').addEventListener('click', () => {
+    fileInput.click();
+  });
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+    
+    file.text().then(importPromptTemplates).catch(error => {
+      showStatus(`Could not import prompts: ${error.message}`, 'error');
+    });
+  });
+}
+
+// Category options, marking the ones with edited templates
+function renderPromptCategories() {
+  const select = document.getElementById('prompt-category');
+  const selected = select.value;
+  
+  select.innerHTML = Object.entries(promptDefaults).map(([id, { label }]) =>
+    `<option value="${id}">${label}${promptTemplates[id] ? ' •' : ''}</option>`
+  ).join('');
+  
+  if (selected) {
+    select.value = selected;
+  }
+}
+
+// Effective { system, user } templates for a category
+function getPromptTemplate(id) {
+  const { system, user } = promptDefaults[id];
+  return { system, user, ...promptTemplates[id] };
+}
+
+function showPromptTemplate() {
+  const id = document.getElementById('prompt-category').value;
+  if (!promptDefaults[id]) return;
+  
+  const template = getPromptTemplate(id);
+  document.getElementById('prompt-system').value = template.system;
+  document.getElementById('prompt-user').value = template.user;
+}
+
+// Keep only the fields that differ from the defaults
+function setPromptTemplate(id, { system, user }) {
+  const edited = {};
+  if (typeof system === 'string' && system !== promptDefaults[id].system) {
+    edited.system = system;
+  }
+  if (typeof user === 'string' && user !== promptDefaults[id].user) {
+    edited.user = user;
+  }
+  
+  if (Object.keys(edited).length > 0) {
+    promptTemplates[id] = edited;
+  } else {
+    delete promptTemplates[id];
+  }
+}
+
+function readPromptTemplate() {
+  setPromptTemplate(document.getElementById('prompt-category').value, {
+    system: document.getElementById('prompt-system').value,
+    user: document.getElementById('prompt-user').value
+  });
+}
+
+// Accepts the export format ({ version, templates }) or a bare
+// { category: { system, user } } map; unknown categories are skipped
+function importPromptTemplates(json) {
+  const data = JSON.parse(json);
+  const templates = data?.templates || data;
+  if (!templates || typeof templates !== 'object' || Array.isArray(templates)) {
+    throw new Error('expected an object of templates by category');
+  }
+  
+  const imported = Object.keys(templates).filter(id => promptDefaults[id] && templates[id]);
+  imported.forEach(id => {
+    setPromptTemplate(id, templates[id]);
+  });
+  
+  renderPromptCategories();
+  showPromptTemplate();
+  showStatus(`Imported ${imported.length} template${imported.length === 1 ? '' : 's'}. Save to apply them.`, 'success');
+}
+
+// Commands quick actions can be bound to (keys are set on chrome://extensions/shortcuts)
+const QUICK_ACTION_COMMANDS = ['quick-action-1', 'quick-action-2', 'quick-action-3', 'quick-action-4'];
+
+// Keys currently assigned to each quick action command
+let commandShortcuts = {};
+
+function setupQuickActions() {
+  document.getElementById('add-quick-action').addEventListener('click', () => {
+    currentSettings.quickActions.push({
+      id: `action-${Date.now()}`,
+      name: '',
+      prompt: '{{text}}',
+      model: null,
+      contexts: ['selection'],
+      command: ''
+    });
+    renderQuickActions();
+  });
+  
+  document.getElementById('open-shortcuts').addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+  
+  chrome.commands.getAll((commands) => {
+    commands.forEach(command => {
+      commandShortcuts[command.name] = command.shortcut;
+    });
+    renderQuickActions();
+  });
+}
+
+// One card per quick action; edits go straight into currentSettings
+function renderQuickActions() {
+  const list = document.getElementById('quick-action-list');
+  list.innerHTML = '';
+  
+  if (currentSettings.quickActions.length === 0) {
+    list.innerHTML = '<p class="field-hint">No quick actions yet.</p>';
+    return;
+  }
+  
+  currentSettings.quickActions.forEach((action, index) => {
+    const card = document.createElement('div');
+    card.className = 'quick-action';
+    
+    const nameRow = document.createElement('div');
+    nameRow.className = 'quick-action-row';
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.className = 'options-input';
+    name.placeholder = 'Action name, e.g. Find the bug';
+    name.value = action.name;
+    name.addEventListener('input', () => {
+      action.name = name.value;
+    });
+    nameRow.appendChild(name);
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'fallback-btn';
+    removeBtn.textContent = '×';
+    removeBtn.title = 'Remove';
+    removeBtn.addEventListener('click', () => {
+      currentSettings.quickActions.splice(index, 1);
+      renderQuickActions();
+    });
+    nameRow.appendChild(removeBtn);
+    card.appendChild(nameRow);
+    
+    const prompt = document.createElement('textarea');
+    prompt.className = 'options-input prompt-template';
+    prompt.rows = 3;
+    prompt.value = action.prompt;
+    prompt.addEventListener('input', () => {
+      action.prompt = prompt.value;
+    });
+    card.appendChild(prompt);
+    
+    const settingsRow = document.createElement('div');
+    settingsRow.className = 'quick-action-row';
+    settingsRow.appendChild(createActionModelSelect(action));
+    settingsRow.appendChild(createActionCommandSelect(action));
+    card.appendChild(settingsRow);
+    
+    const contexts = document.createElement('div');
+    contexts.className = 'quick-action-contexts';
+    [['selection', 'Selected text'], ['image', 'Images']].forEach(([context, label]) => {
+      const checkboxLabel = document.createElement('label');
+      checkboxLabel.className = 'checkbox-label';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = action.contexts.includes(context);
+      checkbox.addEventListener('change', () => {
+        action.contexts = action.contexts.filter(c => c !== context);
+        if (checkbox.checked) {
+          action.contexts.push(context);
+        }
+      });
+      const text = document.createElement('span');
+      text.textContent = label;
+      checkboxLabel.append(checkbox, text);
+      contexts.appendChild(checkboxLabel);
+    });
+    card.appendChild(contexts);
+    
+    list.appendChild(card);
+  });
+}
+
+// Model override: the default model or any fallback choice
+function createActionModelSelect(action) {
+  const select = document.createElement('select');
+  select.className = 'options-select';
+  select.title = 'Model';
+  select.innerHTML = '<option value="">Default model</option>';
+  
+  const groups = {};
+  getFallbackOptions().forEach(option => {
+    if (!groups[option.group]) {
+      groups[option.group] = document.createElement('optgroup');
+      groups[option.group].label = option.group;
+      select.appendChild(groups[option.group]);
+    }
+    const el = document.createElement('option');
+    el.value = option.value;
+    el.textContent = option.label;
+    groups[option.group].appendChild(el);
+  });
+  select.value = action.model ? `${action.model.provider}:${action.model.model}` : '';
+  
+  select.addEventListener('change', () => {
+    // Provider IDs never contain ':', model names may
+    const separator = select.value.indexOf(':');
+    action.model = select.value
+      ? { provider: select.value.slice(0, separator), model: select.value.slice(separator + 1) }
+      : null;
+  });
+  return select;
+}
+
+// Shortcut binding; each command runs at most one action
+function createActionCommandSelect(action) {
+  const select = document.createElement('select');
+  select.className = 'options-select';
+  select.title = 'Keyboard shortcut';
+  select.innerHTML = '<option value="">No shortcut</option>' + QUICK_ACTION_COMMANDS.map((command, index) =>
+    `<option value="${command}">Shortcut ${index + 1} (${commandShortcuts[command] || 'keys not set'})</option>`
+  ).join('');
+  select.value = action.command || '';
+  
+  select.addEventListener('change', () => {
+    currentSettings.quickActions.forEach(other => {
+      if (other !== action && other.command === select.value) {
+        other.command = '';
+      }
+    });
+    action.command = select.value;
+    renderQuickActions();
+  });
+  return select;
+}
+
 // Setup toggle visibility
 function setupToggleVisibility() {
   document.querySelectorAll('.toggle-visibility').forEach(btn => {
@@ -142,8 +785,7 @@ function setupToggleVisibility() {
         // Get actual key from storage
         chrome.storage.sync.get(['settings'], (result) => {
           if (result.settings) {
-            const keyName = targetId === 'openai-key' ? 'openaiKey' : 'claudeKey';
-            input.value = result.settings[keyName] || '';
+            input.value = result.settings[KEY_FIELDS[targetId]] || '';
           }
         });
       }
@@ -151,16 +793,12 @@ function setupToggleVisibility() {
   });
   
   // Handle input changes
-  document.getElementById('openai-key').addEventListener('input', (e) => {
-    if (e.target.value !== '••••••••') {
-      currentSettings.openaiKey = e.target.value;
-    }
-  });
-  
-  document.getElementById('claude-key').addEventListener('input', (e) => {
-    if (e.target.value !== '••••••••') {
-      currentSettings.claudeKey = e.target.value;
-    }
+  Object.entries(KEY_FIELDS).forEach(([inputId, keyName]) => {
+    document.getElementById(inputId).addEventListener('input', (e) => {
+      if (e.target.value !== '••••••••') {
+        currentSettings[keyName] = e.target.value;
+      }
+    });
   });
 }
 
@@ -174,21 +812,61 @@ function setupSaveButton() {
 // Save settings
 function saveSettings() {
   // Get actual API key values
-  const openaiKeyInput = document.getElementById('openai-key');
-  const claudeKeyInput = document.getElementById('claude-key');
+  Object.entries(KEY_FIELDS).forEach(([inputId, keyName]) => {
+    const input = document.getElementById(inputId);
+    if (input.value !== '••••••••') {
+      currentSettings[keyName] = input.value;
+    }
+  });
   
-  if (openaiKeyInput.value !== '••••••••') {
-    currentSettings.openaiKey = openaiKeyInput.value;
-  }
-  
-  if (claudeKeyInput.value !== '••••••••') {
-    currentSettings.claudeKey = claudeKeyInput.value;
-  }
+  // Get custom endpoint
+  currentSettings.customBaseUrl = document.getElementById('custom-base-url').value.trim();
+  currentSettings.customModel = document.getElementById('custom-model').value.trim();
   
   // Get preferences
+  currentSettings.responseLanguage = document.getElementById('response-language').value;
   currentSettings.trackUsage = document.getElementById('track-usage').checked;
+  currentSettings.highlightChoices = document.getElementById('highlight-choices').checked;
+  currentSettings.structuredAnswers = document.getElementById('structured-answers').checked;
+  currentSettings.budgets = readBudgets();
+  currentSettings.cache = readCacheSettings();
+  currentSettings.selfConsistency = readSelfConsistency();
+  currentSettings.secondOpinion = {
+    auto: document.getElementById('second-opinion-auto').checked,
+    categories: Array.from(document.querySelectorAll('.second-opinion-category'))
+      .filter(input => input.checked)
+      .map(input => input.value)
+  };
   
   // Validate
+  if (currentSettings.quickActions.some(action => !action.name.trim() || !action.prompt.trim())) {
+    showStatus('Every quick action needs a name and a prompt', 'error');
+    return;
+  }
+  
+  if (currentSettings.provider === 'openai-compatible') {
+    const origin = getOriginPattern(currentSettings.customBaseUrl);
+    if (!origin) {
+      showStatus('Please enter a valid http(s) base URL', 'error');
+      return;
+    }
+    if (!currentSettings.customModel) {
+      showStatus('Please enter a model name', 'error');
+      return;
+    }
+    
+    // Custom hosts are optional permissions; ask for this one while we still
+    // have the click gesture
+    chrome.permissions.request({ origins: [origin] }, (granted) => {
+      if (!granted) {
+        showStatus(`Access to ${origin} is required to use this endpoint`, 'error');
+        return;
+      }
+      persistSettings();
+    });
+    return;
+  }
+  
   if (!currentSettings.model) {
     showStatus('Please select a model', 'error');
     return;
@@ -196,19 +874,63 @@ function saveSettings() {
   
   const requiredKey = currentSettings.provider === 'openai' ? 'openaiKey' : 'claudeKey';
   if (!currentSettings[requiredKey]) {
-    showStatus(`Please enter your ${currentSettings.provider === 'openai' ? 'OpenAI' : 'Claude'} API key`, 'error');
+    showStatus(`Please enter your ${PROVIDER_NAMES[currentSettings.provider]} API key`, 'error');
     return;
   }
   
-  // Save to storage
+  persistSettings();
+}
+
+// Write settings to storage and re-mask the key inputs
+function persistSettings() {
+  chrome.storage.local.set({ promptTemplates });
   chrome.storage.sync.set({ settings: currentSettings }, () => {
     showStatus('Settings saved successfully!', 'success');
     
     // Re-mask API keys
-    openaiKeyInput.type = 'password';
-    openaiKeyInput.value = currentSettings.openaiKey ? '••••••••' : '';
-    claudeKeyInput.type = 'password';
-    claudeKeyInput.value = currentSettings.claudeKey ? '••••••••' : '';
+    Object.entries(KEY_FIELDS).forEach(([inputId, keyName]) => {
+      const input = document.getElementById(inputId);
+      input.type = 'password';
+      input.value = currentSettings[keyName] ? '••••••••' : '';
+    });
+  });
+}
+
+// Build a host permission pattern ("http://localhost:11434/*") from a URL
+function getOriginPattern(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return null;
+    }
+    return `${parsed.protocol}//${parsed.hostname}/*`;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Offer to grant an image host the content script couldn't download from.
+// It links here as options.html#image-access=<origin pattern>.
+function setupImageAccessRequest() {
+  const match = /^#image-access=(.+)$/.exec(location.hash);
+  const origin = match ? decodeURIComponent(match[1]) : '';
+  if (!/^https?:\/\/[^/*]+\/\*$/.test(origin)) {
+    return;
+  }
+  
+  const section = document.getElementById('image-access-request');
+  document.getElementById('image-access-host').textContent = origin.replace(/^https?:\/\//, '').replace(/\/\*$/, '');
+  section.hidden = false;
+  
+  document.getElementById('grant-image-access').addEventListener('click', () => {
+    chrome.permissions.request({ origins: [origin] }, (granted) => {
+      if (!granted) {
+        showStatus('Image access was not granted', 'error');
+        return;
+      }
+      section.hidden = true;
+      showStatus('Access granted. Try analyzing the image again.', 'success');
+    });
   });
 }
 
@@ -229,11 +951,25 @@ function setupDataButtons() {
   document.getElementById('clear-data').addEventListener('click', () => {
     if (confirm('Are you sure you want to clear all usage data? This cannot be undone.')) {
       chrome.storage.local.clear(() => {
+        // Prompt templates are settings, not data
+        chrome.storage.local.set({ promptTemplates });
+        chrome.runtime.sendMessage({ action: 'clearCache' });
         showStatus('All data cleared', 'success');
       });
     }
   });
   
+  // The cache lives in the background worker's IndexedDB
+  document.getElementById('clear-cache').addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'clearCache' }, (response) => {
+      if (response?.success) {
+        showStatus('Cache cleared', 'success');
+      } else {
+        showStatus(`Could not clear cache: ${response?.error || 'unknown error'}`, 'error');
+      }
+    });
+  });
+  
   document.getElementById('export-data').addEventListener('click', () => {
     chrome.storage.local.get(null, (data) => {
       const json = JSON.stringify(data, null, 2);
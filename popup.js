@@ -9,10 +9,16 @@ document.addEventListener('DOMContentLoaded', () => {
 // Load quick statistics
 function loadQuickStats() {
   chrome.storage.local.get(['usage'], (result) => {
+    chrome.storage.sync.get(['settings'], (syncResult) => {
+      showBudgetState(result.usage || {}, syncResult.settings || {});
+    });
+    
     const usage = result.usage || {};
     const totalRequests = usage.totalRequests || 0;
-    const successRate = usage.totalRequests > 0
-      ? Math.round((usage.successfulRequests / usage.totalRequests) * 100)
+    // Cancelled requests are neither successes nor failures
+    const completedRequests = totalRequests - (usage.cancelledRequests || 0);
+    const successRate = completedRequests > 0
+      ? Math.round((usage.successfulRequests / completedRequests) * 100)
       : 0;
     
     document.getElementById('quick-requests').textContent = totalRequests;
@@ -20,6 +26,61 @@ function loadQuickStats() {
   });
 }
 
+// Show today's spend against the tightest budget for the current provider
+function showBudgetState(usage, settings) {
+  const budgets = settings.budgets || {};
+  const softRatio = (budgets.softPercent || 80) / 100;
+  const today = getDayKey(new Date());
+  const month = today.slice(0, 7);
+  const spendFor = (byDay = {}) => ({
+    daily: byDay[today] || 0,
+    monthly: Object.entries(byDay)
+      .filter(([day]) => day.startsWith(month))
+      .reduce((sum, [, cost]) => sum + cost, 0)
+  });
+  
+  const scopes = [
+    { limits: budgets.global || {}, spend: spendFor(usage.costByDay) },
+    {
+      limits: (budgets.providers || {})[settings.provider] || {},
+      spend: spendFor((usage.costByProviderDay || {})[settings.provider])
+    }
+  ];
+  
+  // Pick the limit closest to being used up
+  let tightest = null;
+  scopes.forEach(({ limits, spend }) => {
+    ['daily', 'monthly'].forEach(period => {
+      if (!limits[period]) return;
+      const ratio = spend[period] / limits[period];
+      if (!tightest || ratio > tightest.ratio) {
+        tightest = { ratio, period, spent: spend[period], limit: limits[period] };
+      }
+    });
+  });
+  
+  const valueEl = document.getElementById('quick-budget');
+  const labelEl = document.getElementById('quick-budget-label');
+  
+  if (!tightest) {
+    valueEl.textContent = `$${spendFor(usage.costByDay).daily.toFixed(2)}`;
+    labelEl.textContent = 'Today';
+    return;
+  }
+  
+  valueEl.textContent = `$${tightest.spent.toFixed(2)}/$${tightest.limit.toFixed(2)}`;
+  labelEl.textContent = tightest.period === 'daily' ? 'Daily Budget' : 'Monthly Budget';
+  valueEl.classList.toggle('soft', tightest.ratio >= softRatio && tightest.ratio < 1);
+  valueEl.classList.toggle('hard', tightest.ratio >= 1);
+}
+
+// Local calendar day (YYYY-MM-DD), matching the keys background.js writes
+function getDayKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
 // Check extension status
 function checkStatus() {
   chrome.storage.sync.get(['settings'], (result) => {
@@ -28,10 +89,17 @@ function checkStatus() {
     const statusDot = statusIndicator.querySelector('.status-dot');
     const statusText = statusIndicator.querySelector('.status-text');
     
-    const requiredKey = settings.provider === 'openai' ? 'openaiKey' : 'claudeKey';
-    const hasKey = settings[requiredKey] && settings[requiredKey].length > 0;
+    let isConfigured;
+    if (settings.provider === 'openai-compatible') {
+      // Self-hosted endpoints may not need a key
+      isConfigured = !!(settings.customBaseUrl && settings.customModel);
+    } else {
+      const requiredKey = settings.provider === 'openai' ? 'openaiKey' : 'claudeKey';
+      const hasKey = settings[requiredKey] && settings[requiredKey].length > 0;
+      isConfigured = !!(hasKey && settings.model);
+    }
     
-    if (hasKey && settings.model) {
+    if (isConfigured) {
       statusDot.classList.add('active');
       statusText.textContent = 'Ready';
     } else {
@@ -0,0 +1,27 @@
+// Chrome Problem Solver - Sandbox Host
+// The page the content script frames to run a snippet. It is an ordinary
+// extension page, so the content script can post to its exact origin and
+// check that replies come from it; the sandbox page itself has an opaque
+// origin that can't be addressed that way. It relays one run to the
+// embedded sandbox and the result back to the content script.
+
+const sandboxFrame = document.getElementById('sandbox');
+let pending = null;
+
+window.addEventListener('message', (event) => {
+  if (event.source === sandboxFrame.contentWindow) {
+    // Sandbox pages always report the opaque origin "null"
+    if (event.origin !== 'null' || !pending) return;
+    if (event.data?.action !== 'runResult' || event.data.id !== pending.id) return;
+    pending.source.postMessage(event.data, pending.origin);
+    pending = null;
+    return;
+  }
+
+  if (event.source !== window.parent) return;
+  const { action, id, code, timeoutMs } = event.data || {};
+  if (action !== 'run' || typeof code !== 'string' || pending) return;
+
+  pending = { id, source: event.source, origin: event.origin };
+  sandboxFrame.contentWindow.postMessage({ action, id, code, timeoutMs }, '*');
+});
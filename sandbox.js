@@ -0,0 +1,143 @@
+// Chrome Problem Solver - Code Sandbox
+// Runs JavaScript snippets from code answers. This page is declared as a
+// manifest sandbox (unique origin, no extension APIs) and is embedded by
+// sandbox-host.html, which the content script frames as a hidden iframe.
+// Each snippet runs in a fresh Worker so an endless loop can be stopped by
+// terminating it.
+
+const MAX_LOG_ENTRIES = 200;
+const MAX_LOG_LENGTH = 2000;
+
+// Runs inside the worker; serialized with toString so it must not reference
+// anything from this file
+function sandboxWorker() {
+  const MAX_DEPTH = 2;
+
+  const format = (value, depth = 0) => {
+    if (typeof value === 'string') return depth ? JSON.stringify(value) : value;
+    if (typeof value === 'function') return `[Function ${value.name || '(anonymous)'}]`;
+    if (typeof value === 'bigint') return `${value}n`;
+    if (value === null || typeof value !== 'object') return String(value);
+    if (value instanceof Error) return value.stack || `${value.name}: ${value.message}`;
+    if (depth > MAX_DEPTH) return Array.isArray(value) ? '[Array]' : '[Object]';
+    if (Array.isArray(value)) return `[${value.map(item => format(item, depth + 1)).join(', ')}]`;
+    if (value instanceof Map) {
+      return `Map(${value.size}) {${[...value].map(([k, v]) => `${format(k, depth + 1)} => ${format(v, depth + 1)}`).join(', ')}}`;
+    }
+    if (value instanceof Set) {
+      return `Set(${value.size}) {${[...value].map(item => format(item, depth + 1)).join(', ')}}`;
+    }
+    if (value instanceof Date) return value.toISOString();
+    const name = value.constructor && value.constructor !== Object ? `${value.constructor.name} ` : '';
+    const entries = Object.entries(value).map(([key, item]) => `${key}: ${format(item, depth + 1)}`);
+    return `${name}{${entries.join(', ')}}`;
+  };
+
+  const describeError = (error) => ({
+    name: error?.name || 'Error',
+    message: error?.message ?? String(error),
+    stack: error?.stack || ''
+  });
+
+  ['log', 'info', 'warn', 'error', 'debug'].forEach(level => {
+    console[level] = (...args) => {
+      self.postMessage({ type: 'log', level, text: args.map(arg => format(arg)).join(' ') });
+    };
+  });
+
+  self.addEventListener('unhandledrejection', (event) => {
+    self.postMessage({ type: 'log', level: 'error', text: `Uncaught (in promise) ${format(event.reason)}` });
+  });
+
+  self.onmessage = async ({ data }) => {
+    const started = performance.now();
+    let result;
+    let error = null;
+
+    try {
+      try {
+        // Indirect eval runs in global scope and yields the last expression
+        result = (0, eval)(data.code);
+      } catch (syntaxError) {
+        // Top-level await only parses inside an async function
+        if (!(syntaxError instanceof SyntaxError) || !/\bawait\b/.test(data.code)) throw syntaxError;
+        result = (0, eval)(`(async () => {\n${data.code}\n})()`);
+      }
+      if (result && typeof result.then === 'function') {
+        result = await result;
+      }
+    } catch (thrown) {
+      error = describeError(thrown);
+    }
+
+    self.postMessage({
+      type: 'done',
+      hasResult: !error && result !== undefined,
+      result: !error && result !== undefined ? format(result) : null,
+      error,
+      durationMs: performance.now() - started
+    });
+  };
+}
+
+const workerUrl = URL.createObjectURL(
+  new Blob([`(${sandboxWorker.toString()})();`], { type: 'text/javascript' })
+);
+
+window.addEventListener('message', (event) => {
+  // Only runs relayed by the extension's own host page
+  if (event.source !== window.parent || !event.origin.startsWith('chrome-extension://')) return;
+  const { action, id, code, timeoutMs } = event.data || {};
+  if (action !== 'run' || typeof code !== 'string') return;
+
+  const logs = [];
+  let worker;
+  let timer = null;
+
+  const reply = (result) => {
+    clearTimeout(timer);
+    if (worker) worker.terminate();
+    event.source.postMessage({
+      action: 'runResult',
+      id,
+      logs,
+      hasResult: false,
+      result: null,
+      error: null,
+      durationMs: 0,
+      timedOut: false,
+      ...result
+    }, event.origin);
+  };
+
+  try {
+    worker = new Worker(workerUrl);
+  } catch (error) {
+    reply({ error: { name: 'Error', message: `Could not start the sandbox: ${error.message}`, stack: '' } });
+    return;
+  }
+
+  timer = setTimeout(() => reply({ timedOut: true, durationMs: timeoutMs }), timeoutMs);
+
+  worker.onmessage = ({ data }) => {
+    if (data.type === 'log') {
+      if (logs.length < MAX_LOG_ENTRIES) {
+        logs.push({ level: data.level, text: data.text.slice(0, MAX_LOG_LENGTH) });
+      }
+      return;
+    }
+    reply({
+      hasResult: data.hasResult,
+      result: data.result !== null ? data.result.slice(0, MAX_LOG_LENGTH) : null,
+      error: data.error,
+      durationMs: data.durationMs
+    });
+  };
+
+  worker.onerror = (event) => {
+    event.preventDefault();
+    reply({ error: { name: 'Error', message: event.message || 'The snippet crashed the sandbox', stack: '' } });
+  };
+
+  worker.postMessage({ code });
+});
@@ -0,0 +1,231 @@
+// Chrome Problem Solver - Markdown sanitizer fixtures
+// Model output in, the HTML renderMarkdown must produce out (compared as
+// parsed markup, so how a browser serializes attributes doesn't matter).
+// options names the stand-in renderers from markdown-runner.js a case uses.
+// Loaded by markdown.html.
+
+const MARKDOWN_FIXTURES = [
+  // Raw HTML is text, never markup
+  {
+    name: 'img onerror in a paragraph',
+    input: '<img src=x onerror=alert(1)>',
+    expected: '<p>&lt;img src=x onerror=alert(1)&gt;</p>'
+  },
+  {
+    name: 'script tag',
+    input: 'before <script>alert(1)</script> after',
+    expected: '<p>before &lt;script&gt;alert(1)&lt;/script&gt; after</p>'
+  },
+  {
+    name: 'svg onload',
+    input: '<svg onload=alert(1)><circle r=10></circle></svg>',
+    expected: '<p>&lt;svg onload=alert(1)&gt;&lt;circle r=10&gt;&lt;/circle&gt;&lt;/svg&gt;</p>'
+  },
+  {
+    name: 'literal <br> is the only tag kept',
+    input: 'one<br>two<br/>three',
+    expected: '<p>one<br>two<br>three</p>'
+  },
+  {
+    name: 'raw HTML in a heading',
+    input: '# Title <img src=x onerror=alert(1)>',
+    expected: '<h1>Title &lt;img src=x onerror=alert(1)&gt;</h1>'
+  },
+
+  // Links
+  {
+    name: 'http link gets target and rel',
+    input: '[docs](https://example.com/a?b=1&c=2)',
+    expected: '<p><a href="https://example.com/a?b=1&amp;c=2" target="_blank" rel="noopener noreferrer nofollow">docs</a></p>'
+  },
+  {
+    name: 'mailto link',
+    input: '[mail](mailto:someone@example.com)',
+    expected: '<p><a href="mailto:someone@example.com" target="_blank" rel="noopener noreferrer nofollow">mail</a></p>'
+  },
+  {
+    name: 'javascript: link is not linked',
+    input: '[click](javascript:alert(1))',
+    expected: '<p>click</p>'
+  },
+  {
+    name: 'mixed-case javascript: link',
+    input: '[click](JaVaScRiPt:alert(1))',
+    expected: '<p>click</p>'
+  },
+  {
+    name: 'javascript: with leading whitespace and entities',
+    input: '[click](  javascript&#58;alert(1))',
+    expected: '<p>click</p>'
+  },
+  {
+    name: 'data: link is not linked',
+    input: '[x](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)',
+    expected: '<p>x</p>'
+  },
+  {
+    name: 'vbscript: link is not linked',
+    input: '[x](vbscript:msgbox(1))',
+    expected: '<p>x</p>'
+  },
+  {
+    name: 'relative link is not linked',
+    input: '[x](/settings)',
+    expected: '<p>x</p>'
+  },
+  {
+    name: 'javascript: autolink stays text',
+    input: '<javascript:alert(1)>',
+    expected: '<p>&lt;javascript:alert(1)&gt;</p>'
+  },
+  {
+    name: 'image is shown as a link, never loaded',
+    input: '![chart](https://example.com/chart.png)',
+    expected: '<p><a href="https://example.com/chart.png" target="_blank" rel="noopener noreferrer nofollow">🖼 chart</a></p>'
+  },
+  {
+    name: 'javascript: image',
+    input: '![pic](javascript:alert(1))',
+    expected: '<p>🖼 pic</p>'
+  },
+  {
+    name: 'bare URL with a quote in it',
+    input: 'see https://example.com/"onmouseover="alert(1) now',
+    expected: '<p>see <a href="https://example.com/%22onmouseover=%22alert(1" target="_blank" rel="noopener noreferrer nofollow">https://example.com/"onmouseover="alert(1</a>) now</p>'
+  },
+
+  // Titles
+  {
+    name: 'title with markup',
+    input: '[x](https://example.com "<b>bold</b> & co")',
+    expected: '<p><a href="https://example.com/" title="&lt;b&gt;bold&lt;/b&gt; &amp; co" target="_blank" rel="noopener noreferrer nofollow">x</a></p>'
+  },
+  {
+    name: 'quote-breaking title',
+    input: '[x](https://example.com "a" onmouseover="alert(1)")',
+    expected: '<p>[x](<a href="https://example.com/" target="_blank" rel="noopener noreferrer nofollow">https://example.com</a> "a" onmouseover="alert(1)")</p>'
+  },
+  {
+    name: 'title breaking out with an escaped quote',
+    input: '[x](https://example.com "a\\" onmouseover=\\"alert(1)")',
+    expected: '<p><a href="https://example.com/" title="a onmouseover=alert(1)" target="_blank" rel="noopener noreferrer nofollow">x</a></p>'
+  },
+  {
+    name: 'single-quote title',
+    input: "[x](https://example.com 'a' onmouseover='alert(1)')",
+    expected: '<p>[x](<a href="https://example.com/" target="_blank" rel="noopener noreferrer nofollow">https://example.com</a> \'a\' onmouseover=\'alert(1)\')</p>'
+  },
+
+  // Raw HTML in tables and quotes
+  {
+    name: 'raw HTML in table cells',
+    input: '| a | b |\n|---|---|\n| <script>alert(1)</script> | <b onclick=alert(1)>hi</b> |',
+    expected: '<table>\n<thead><tr><th>a</th><th>b</th></tr></thead>\n<tbody>\n<tr><td>&lt;script&gt;alert(1)&lt;/script&gt;</td><td>&lt;b onclick=alert(1)&gt;hi&lt;/b&gt;</td></tr>\n</tbody>\n</table>'
+  },
+  {
+    name: 'raw HTML in a table header',
+    input: '| <img src=x onerror=alert(1)> | b |\n|:-:|--:|\n| 1 | 2 |',
+    expected: '<table>\n<thead><tr><th align="center">&lt;img src=x onerror=alert(1)&gt;</th><th align="right">b</th></tr></thead>\n<tbody>\n<tr><td align="center">1</td><td align="right">2</td></tr>\n</tbody>\n</table>'
+  },
+  {
+    name: 'javascript: link in a table cell',
+    input: '| a |\n|---|\n| [x](javascript:alert(1)) |',
+    expected: '<table>\n<thead><tr><th>a</th></tr></thead>\n<tbody>\n<tr><td>x</td></tr>\n</tbody>\n</table>'
+  },
+  {
+    name: 'raw HTML in a block quote',
+    input: '> <iframe src="javascript:alert(1)"></iframe>\n> quoted',
+    expected: '<blockquote><p>&lt;iframe src="javascript:alert(1)"&gt;&lt;/iframe&gt;<br>quoted</p></blockquote>'
+  },
+  {
+    name: 'raw HTML in a nested quote and list',
+    input: '> - <a href="javascript:alert(1)">x</a>\n>   > <style>body{}</style>',
+    expected: '<blockquote><ul>\n<li>&lt;a href="javascript:alert(1)"&gt;x&lt;/a&gt;<blockquote><p>&lt;style&gt;body{}&lt;/style&gt;</p></blockquote></li>\n</ul></blockquote>'
+  },
+
+  // Code
+  {
+    name: 'HTML in a fenced code block',
+    input: '```html\n<script>alert(1)</script>\n```',
+    expected: '<pre><code class="language-html">&lt;script&gt;alert(1)&lt;/script&gt;</code></pre>'
+  },
+  {
+    name: 'HTML in a code span',
+    input: 'use `<img onerror=x>` here',
+    expected: '<p>use <code>&lt;img onerror=x&gt;</code> here</p>'
+  },
+  {
+    name: 'fence info string with markup',
+    input: '```"><img src=x onerror=alert(1)>\ncode\n```',
+    expected: '<pre><code>code</code></pre>'
+  },
+  {
+    name: 'renderCode output is still sanitized',
+    options: 'code',
+    input: '```js\nlet a = 1;\n```',
+    expected: '<pre class="cps-code-block"><code class="hljs language-js">let a = 1;</code></pre>'
+  },
+  {
+    name: 'unclosed fence runs to the end and is marked open',
+    options: 'code',
+    input: 'text\n\n```python\ndef f():\n    return <b>',
+    expected: '<p>text</p>\n<pre class="cps-code-block cps-code-open"><code class="hljs language-python">def f():\n    return &lt;b&gt;</code></pre>'
+  },
+  {
+    name: 'hljs sub-scopes only next to an hljs- class',
+    options: 'scopes',
+    input: '```js\nf\n```',
+    expected: '<pre class="cps-code-block"><code class="hljs"><span class="hljs-title function_">f</span><span>()</span></code></pre>'
+  },
+
+  // Placeholders
+  {
+    name: 'code span inside a link label',
+    input: '[`a < b`](https://example.com)',
+    expected: '<p><a href="https://example.com/" target="_blank" rel="noopener noreferrer nofollow"><code>a &lt; b</code></a></p>'
+  },
+  {
+    name: 'literal placeholder characters in the input',
+    input: 'a \u00010\u0001 b \u00020\u0002 c',
+    expected: '<p>a 0 b 0 c</p>'
+  },
+  {
+    name: 'placeholder-looking text next to a code span',
+    input: '`x` \\u00010\\u0001',
+    expected: '<p><code>x</code> \\u00010\\u0001</p>'
+  },
+  {
+    name: 'code span inside a link title',
+    input: '[x](https://example.com "`t`")',
+    expected: '<p><a href="https://example.com/" target="_blank" rel="noopener noreferrer nofollow">x</a></p>'
+  },
+  {
+    name: 'math inside a link label',
+    options: 'math',
+    input: '[$x^2$](https://example.com)',
+    expected: '<p><a href="https://example.com/" target="_blank" rel="noopener noreferrer nofollow"><span class="katex" style="color: red">x^2</span></a></p>'
+  },
+  {
+    name: 'math inside a link title',
+    options: 'math',
+    input: '[x](https://example.com "$x$")',
+    expected: '<p><a href="https://example.com/" target="_blank" rel="noopener noreferrer nofollow">x</a></p>'
+  },
+  {
+    name: 'math inside a link URL',
+    options: 'math',
+    input: '[x](https://example.com/$x$)',
+    expected: '<p>[x](<a href="https://example.com/" target="_blank" rel="noopener noreferrer nofollow">https://example.com/</a><span class="katex" style="color: red">x</span>)</p>'
+  },
+  {
+    name: 'math in a table cell and a quote',
+    options: 'math',
+    input: '| $a$ |\n|---|\n| $b$ |\n\n> $$c$$',
+    expected: '<table>\n<thead><tr><th><span class="katex" style="color: red">a</span></th></tr></thead>\n<tbody>\n<tr><td><span class="katex" style="color: red">b</span></td></tr>\n</tbody>\n</table>\n<blockquote><span class="katex katex-display" style="color: red">c</span></blockquote>'
+  },
+  {
+    name: 'math source is escaped without a renderer',
+    input: '$<img src=x onerror=alert(1)>$',
+    expected: '<p><code>&lt;img src=x onerror=alert(1)&gt;</code></p>'
+  }
+];
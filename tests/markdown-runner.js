@@ -0,0 +1,106 @@
+// Chrome Problem Solver - Markdown sanitizer fixture runner
+// Renders every case in MARKDOWN_FIXTURES with renderMarkdown, compares the
+// HTML with the expected output and checks it for anything executable.
+// The page title ends up as "PASS n/n" or "FAIL k/n", so a headless browser
+// can run it too: chrome --headless --dump-dom tests/markdown.html
+
+// Stand-ins for content.js's renderers. The code renderers misbehave on
+// purpose (their output goes through the sanitizer); the math renderer's output
+// is trusted, like KaTeX's, so it keeps its style attribute.
+const FIXTURE_OPTIONS = {
+  code: {
+    renderCode: (code, language, open) =>
+      `<pre class="cps-code-block${open ? ' cps-code-open' : ''} evil" onclick="alert(1)"><code class="hljs language-${language}">${escapeMarkup(code)}</code><img src=x onerror=alert(1)></pre>`
+  },
+  scopes: {
+    renderCode: code =>
+      `<pre class="cps-code-block"><code class="hljs"><span class="hljs-title function_">${escapeMarkup(code)}</span><span class="function_ evil_">()</span></code></pre>`
+  },
+  math: {
+    renderMath: (tex, display) =>
+      `<span class="katex${display ? ' katex-display' : ''}" style="color: red">${escapeMarkup(tex)}</span>`
+  }
+};
+
+// Executable or loading markup that must never survive sanitizing, whatever
+// a fixture expects
+function findUnsafeMarkup(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  const problems = [];
+  template.content.querySelectorAll('*').forEach((element) => {
+    if (['script', 'iframe', 'img', 'svg', 'style', 'object', 'embed', 'form'].includes(element.localName)) {
+      problems.push(`<${element.localName}> element`);
+    }
+    [...element.attributes].forEach(({ name, value }) => {
+      if (name.startsWith('on')) {
+        problems.push(`${name} attribute on <${element.localName}>`);
+      }
+      if (name === 'href' && !/^(?:https?|mailto):/i.test(value)) {
+        problems.push(`href="${value}"`);
+      }
+    });
+  });
+  return problems;
+}
+
+// Markup as this browser serializes it (Chrome escapes < and > in attribute
+// values, older engines don't)
+function reserialize(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  return template.innerHTML;
+}
+
+function runFixtures() {
+  const results = MARKDOWN_FIXTURES.map((fixture) => {
+    const actual = renderMarkdown(fixture.input, FIXTURE_OPTIONS[fixture.options] || {});
+    const unsafe = findUnsafeMarkup(actual);
+    const passed = actual === reserialize(fixture.expected) && unsafe.length === 0;
+    return { ...fixture, actual, unsafe, passed };
+  });
+
+  const failed = results.filter(result => !result.passed);
+  document.title = `${failed.length ? 'FAIL' : 'PASS'} ${failed.length || results.length}/${results.length}`;
+  document.getElementById('summary').textContent = failed.length
+    ? `${failed.length} of ${results.length} fixtures failed`
+    : `All ${results.length} fixtures passed`;
+  document.getElementById('summary').className = failed.length ? 'failed' : 'passed';
+
+  const list = document.getElementById('results');
+  results.forEach((result) => {
+    const item = document.createElement('details');
+    item.className = result.passed ? 'passed' : 'failed';
+    item.open = !result.passed;
+
+    const summary = document.createElement('summary');
+    summary.textContent = `${result.passed ? '✓' : '✗'} ${result.name}`;
+    item.append(summary);
+
+    const rows = [
+      ['Input', result.input],
+      ['Expected', result.expected],
+      ['Actual', result.actual],
+      ...(result.unsafe.length ? [['Unsafe', result.unsafe.join('\n')]] : [])
+    ];
+    rows.forEach(([label, text]) => {
+      const heading = document.createElement('h3');
+      heading.textContent = label;
+      const pre = document.createElement('pre');
+      pre.textContent = String(text);
+      item.append(heading, pre);
+    });
+
+    // The sanitized output itself, as the overlay would show it
+    const heading = document.createElement('h3');
+    heading.textContent = 'Rendered';
+    const rendered = document.createElement('div');
+    rendered.className = 'rendered';
+    rendered.innerHTML = result.actual;
+    item.append(heading, rendered);
+
+    list.append(item);
+  });
+}
+
+runFixtures();
@@ -0,0 +1,557 @@
+// Chrome Problem Solver - Local Math Verifier
+// Checks a math answer against the problem without calling a model:
+// arithmetic by evaluation, linear/quadratic (and other one-variable)
+// equations by substitution, derivatives by numeric differentiation.
+// Loaded into the service worker with importScripts.
+
+const VERIFIER_FUNCTIONS = {
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  sqrt: Math.sqrt,
+  ln: Math.log,
+  exp: Math.exp,
+  abs: Math.abs
+};
+
+const VERIFIER_CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+// Points derivatives and expressions are compared at (away from 0, where
+// many functions are special, and small enough not to overflow)
+const SAMPLE_POINTS = [0.5, 1.3, 2.1, -0.7, 3.7, -1.9];
+
+// Words a problem may wrap its expression or equation in; more than this
+// many other words means a word problem we can't check reliably
+const MAX_PROBLEM_WORDS = 8;
+
+// Things a problem can ask for that the checks below don't model. Checking
+// anyway would compare the answer with the wrong value (the first derivative,
+// every root, the unrounded result), so these are left unverified.
+const UNMODELED_QUALIFIERS = [
+  {
+    problem: /\b(?:second|third|fourth|fifth|nth|n-th|\d+(?:st|nd|rd|th)|higher[- ]order)\s+(?:order\s+)?derivative|\bd\s*(?:\^\s*\{?\d+\}?|[²³])\s*[a-z]?\s*\/\s*d[a-z]|\b[a-z]\s*(?:''|′′|″)/i,
+    message: 'Higher-order derivatives are not checked'
+  },
+  {
+    problem: /\b(?:round(?:ed|ing)?|nearest|approx(?:imate(?:ly)?)?|estimate|significant (?:figures?|digits?)|decimal places?|d\.p\.|s\.f\.)/i,
+    message: 'Rounded answers are not checked'
+  },
+  {
+    problem: /\b(?:positive|negative|non-?negative|smallest|smaller|largest|larger|greatest|least|minimum|maximum|integer|integral|whole|natural)\b/i,
+    message: 'Answers restricted to some of the solutions are not checked'
+  },
+  {
+    problem: /\bmixed (?:numbers?|fractions?)\b/i,
+    answer: /(?:^|[=≈\s$])-?\d+\s+(?:\d+\s*\/\s*\d+|\\d?frac\s*\{\s*\d+\s*\}\s*\{\s*\d+\s*\})/,
+    message: 'Mixed numbers are not checked'
+  },
+  {
+    // ln or log₁₀ (or log₂ in computer science) depending on who wrote it
+    problem: /\blog\b/i,
+    answer: /\blog\b/i,
+    message: 'log could mean ln or log₁₀, so it is not checked'
+  }
+];
+
+// Check a model's final answer to a math problem. Returns
+// { status, kind, message, computed, certain } where status is 'verified',
+// 'mismatch' or 'unverified' (with the reason in message), kind is
+// 'arithmetic', 'equation' or 'derivative', computed is the value(s)
+// worked out locally, and certain is set on mismatches that can't be down to
+// reading the problem differently (a wrong sum, a value that doesn't solve
+// the equation).
+function verifyMathAnswer(problem, finalAnswer) {
+  if (!finalAnswer) {
+    return { status: 'unverified', kind: null, message: 'No final answer to check', computed: null };
+  }
+  const qualifier = UNMODELED_QUALIFIERS.find(({ problem: inProblem, answer: inAnswer }) =>
+    (inProblem && inProblem.test(problem)) || (inAnswer && inAnswer.test(finalAnswer))
+  );
+  if (qualifier) {
+    return { status: 'unverified', kind: null, message: qualifier.message, computed: null };
+  }
+  try {
+    return verifyDerivative(problem, finalAnswer) ||
+      verifyEquation(problem, finalAnswer) ||
+      verifyArithmetic(problem, finalAnswer) ||
+      { status: 'unverified', kind: null, message: 'No arithmetic, equation or derivative to check', computed: null };
+  } catch (error) {
+    // The problem looked checkable but the answer couldn't be read
+    return { status: 'unverified', kind: null, message: 'Could not read the answer', computed: null };
+  }
+}
+
+// "What is 37 × 24 + 5?" — evaluate and compare
+function verifyArithmetic(problem, finalAnswer) {
+  const found = findArithmetic(problem);
+  if (!found) return null;
+
+  const value = found.evaluate({});
+  const claimed = parseClaimedValue(finalAnswer);
+  if (!Number.isFinite(value)) return null;
+  if (claimed === null) {
+    return { status: 'unverified', kind: 'arithmetic', message: `Computed ${found.text} = ${formatNumber(value)}, but the answer is not a number`, computed: formatNumber(value) };
+  }
+
+  const matches = closeEnough(claimed.value, value, claimed.tolerance);
+  return {
+    status: matches ? 'verified' : 'mismatch',
+    certain: !matches,
+    kind: 'arithmetic',
+    message: matches
+      ? `${found.text} = ${formatNumber(value)}`
+      : `${found.text} = ${formatNumber(value)}, not ${formatNumber(claimed.value)}`,
+    computed: formatNumber(value)
+  };
+}
+
+// "Solve x^2 - 5x + 6 = 0" — substitute the claimed solutions, and for
+// polynomials up to degree 2 also check that none is missing
+function verifyEquation(problem, finalAnswer) {
+  const equation = findEquation(problem);
+  if (!equation) return null;
+
+  const { variable, text } = equation;
+  const f = (x) => equation.left({ [variable]: x }) - equation.right({ [variable]: x });
+  const roots = solvePolynomial(f);
+  const computed = roots ? formatRoots(variable, roots) : null;
+
+  if (/\bno (?:real )?(?:solutions?|roots?)\b/i.test(finalAnswer)) {
+    if (roots && roots.length === 0) {
+      return { status: 'verified', kind: 'equation', message: `${text} has no real solutions`, computed };
+    }
+    return roots
+      ? { status: 'mismatch', certain: true, kind: 'equation', message: `${text} has ${computed}`, computed }
+      : { status: 'unverified', kind: 'equation', message: `Could not check that ${text} has no solutions`, computed };
+  }
+
+  const claimed = parseClaimedRoots(finalAnswer, variable);
+  if (claimed.length === 0) {
+    return { status: 'unverified', kind: 'equation', message: computed ? `Computed ${computed}, but the answer gives no value of ${variable}` : `No value of ${variable} in the answer`, computed };
+  }
+
+  const wrong = claimed.find(root => !satisfies(f, root));
+  if (wrong) {
+    const x = wrong.value;
+    return {
+      status: 'mismatch',
+      certain: true,
+      kind: 'equation',
+      message: `${variable} = ${formatNumber(x)} gives ${formatNumber(equation.left({ [variable]: x }))} ≠ ${formatNumber(equation.right({ [variable]: x }))}${computed ? `; ${text} has ${computed}` : ''}`,
+      computed
+    };
+  }
+
+  const missing = roots ? roots.filter(root => !claimed.some(c => closeEnough(c.value, root, c.tolerance))) : [];
+  if (missing.length > 0) {
+    // The problem may only have wanted one of them
+    return { status: 'mismatch', certain: false, kind: 'equation', message: `${text} also has ${formatRoots(variable, missing)}`, computed };
+  }
+  return {
+    status: 'verified',
+    kind: 'equation',
+    message: `${formatRoots(variable, claimed.map(c => c.value))} ${claimed.length === 1 ? 'satisfies' : 'satisfy'} ${text}`,
+    computed
+  };
+}
+
+// "Find the derivative of x^3 + 2x" — compare with a central difference at
+// several points
+function verifyDerivative(problem, finalAnswer) {
+  const match = problem.match(/(?:derivative of|differentiate|d\/d([a-z]))\s*(?:[a-z]\s*\(\s*[a-z]\s*\)\s*=\s*|y\s*=\s*)?([^\n?;]+)/i);
+  if (!match) return null;
+
+  const functionText = match[2]
+    .replace(/\s+(?:with respect to|wrt|w\.r\.t\.)\s+([a-z]).*$/i, '')
+    .replace(/[.,:]\s*$/, '')
+    .trim();
+  let variable;
+  let f;
+  try {
+    variable = match[1] || problem.match(/(?:with respect to|wrt|w\.r\.t\.)\s+([a-z])\b/i)?.[1] || findVariable(functionText) || 'x';
+    f = compileExpression(functionText, variable);
+  } catch (error) {
+    return { status: 'unverified', kind: 'derivative', message: 'Could not read the function to differentiate', computed: null };
+  }
+  const claimedText = finalAnswer.replace(/^.*=/, '');
+  const derivative = compileExpression(claimedText, variable);
+
+  let checked = 0;
+  let firstDifference = null;
+  let differences = 0;
+  for (const x of SAMPLE_POINTS) {
+    const h = 1e-5 * Math.max(1, Math.abs(x));
+    const numeric = (f({ [variable]: x + h }) - f({ [variable]: x - h })) / (2 * h);
+    const claimed = derivative({ [variable]: x });
+    if (!Number.isFinite(numeric) || !Number.isFinite(claimed)) continue;
+
+    checked++;
+    if (!closeEnough(claimed, numeric, 1e-4 * Math.max(1, Math.abs(numeric)))) {
+      differences++;
+      firstDifference = firstDifference || { x, numeric, claimed };
+    }
+  }
+
+  if (firstDifference) {
+    const { x, numeric, claimed } = firstDifference;
+    return {
+      status: 'mismatch',
+      // A difference at one point can be numeric noise near a singularity
+      certain: checked >= 3 && differences * 2 >= checked,
+      kind: 'derivative',
+      message: `At ${variable} = ${x} the derivative of ${functionText} is ${formatNumber(numeric)}, the answer gives ${formatNumber(claimed)}`,
+      computed: formatNumber(numeric)
+    };
+  }
+  if (checked < 3) {
+    return { status: 'unverified', kind: 'derivative', message: `Could not evaluate the derivative of ${functionText}`, computed: null };
+  }
+  return { status: 'verified', kind: 'derivative', message: `Matches the derivative of ${functionText} at ${checked} points`, computed: null };
+}
+
+// Values of an expression in at most one variable at the sample points, as
+// a string, so that equivalent answers ("1/2", "0.5", "\frac{1}{2}"; "2x+3",
+// "3+2x") get the same fingerprint; null if the text isn't an expression
+function getExpressionFingerprint(text) {
+  try {
+    const variable = findVariable(text);
+    const f = compileExpression(text, variable);
+    const values = variable ? SAMPLE_POINTS.map(x => f({ [variable]: x })) : [f({})];
+    if (!values.some(Number.isFinite)) return null;
+    return `${variable || ''}:${values.map(formatNumber).join(',')}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+// The longest arithmetic expression in the problem, if the problem is
+// essentially just that expression
+function findArithmetic(problem) {
+  const text = normalizeMath(problem);
+  const candidates = (text.match(/[\d(.][\d\s+\-*/^().]*[\d)]/g) || [])
+    .map(candidate => candidate.trim())
+    .filter(candidate => /\d\s*[+\-*/^]\s*[\d(.-]/.test(candidate) || /\d\)?\s*\(/.test(candidate))
+    .sort((a, b) => b.length - a.length);
+
+  for (const candidate of candidates) {
+    if (!isMostlyMath(problem, candidate)) continue;
+    try {
+      return { text: candidate, evaluate: compileExpression(candidate, null) };
+    } catch (error) {
+      // Not an expression after all (e.g. unbalanced parentheses)
+    }
+  }
+  return null;
+}
+
+// A one-variable equation in the problem, trimmed of the words around it
+function findEquation(problem) {
+  const segments = problem.split(/\n|;|(?<=[.?!])\s+/).filter(segment => (segment.match(/=/g) || []).length === 1);
+
+  for (const segment of segments) {
+    const [leftText, rightText] = segment.split('=');
+    const left = trimToExpression(leftText.split(/\s+/), words => words.slice(1));
+    const right = trimToExpression(rightText.split(/\s+/), words => words.slice(0, -1));
+    if (!left || !right) continue;
+
+    const variable = problem.match(/\bfor\s+([a-z])\b/i)?.[1] || findVariable(`${left} ${right}`);
+    if (!variable) continue;
+
+    const text = `${normalizeMath(left).trim()} = ${normalizeMath(right).trim()}`;
+    if (!isMostlyMath(problem, left, right)) continue;
+    try {
+      return {
+        variable,
+        text,
+        left: compileExpression(left, variable),
+        right: compileExpression(right, variable)
+      };
+    } catch (error) {
+      // Another letter than the variable (e.g. a parameter)
+    }
+  }
+  return null;
+}
+
+// Drop words (with drop) until what is left parses as an expression
+function trimToExpression(words, drop) {
+  for (let remaining = words.filter(Boolean); remaining.length > 0; remaining = drop(remaining)) {
+    const text = remaining.join(' ').replace(/[.,:]$/, '');
+    try {
+      compileExpression(text, findVariable(text));
+      return text;
+    } catch (error) {
+      // Keep dropping words
+    }
+  }
+  return null;
+}
+
+// Whether the problem is little more than its expressions: no other
+// numbers and only a few words ("What is …?", "Solve for x: …")
+function isMostlyMath(problem, ...expressions) {
+  const rest = expressions.reduce((text, expression) => text.replace(normalizeMath(expression), ' '), normalizeMath(problem));
+  if (/\d/.test(rest)) return false;
+  const words = rest.match(/[a-z]+/gi) || [];
+  return words.length <= MAX_PROBLEM_WORDS;
+}
+
+// The only letter used as a variable, or null if there is none or several
+function findVariable(text) {
+  const letters = new Set();
+  tokenizeMath(text).forEach((token) => {
+    if (token.type === 'name' && !VERIFIER_FUNCTIONS[token.value] && VERIFIER_CONSTANTS[token.value] === undefined) {
+      letters.add(token.value);
+    }
+  });
+  return letters.size === 1 ? [...letters][0] : null;
+}
+
+// Real roots of f if it is a polynomial of degree 1 or 2, [] if it has
+// none, null if f is not such a polynomial
+function solvePolynomial(f) {
+  const c = f(0);
+  const a = (f(1) + f(-1)) / 2 - c;
+  const b = (f(1) - f(-1)) / 2;
+  if (![a, b, c].every(Number.isFinite)) return null;
+
+  const isQuadratic = [2, 3, -2.5, 0.5].every((x) => {
+    const expected = a * x * x + b * x + c;
+    return closeEnough(f(x), expected, 1e-9 * Math.max(1, Math.abs(expected)));
+  });
+  if (!isQuadratic) return null;
+
+  const epsilon = 1e-12 * Math.max(1, Math.abs(b), Math.abs(c));
+  if (Math.abs(a) < epsilon) {
+    return Math.abs(b) < epsilon ? null : [-c / b];
+  }
+  const discriminant = b * b - 4 * a * c;
+  if (discriminant < -epsilon) return [];
+  if (Math.abs(discriminant) <= epsilon) return [-b / (2 * a)];
+  const root = Math.sqrt(discriminant);
+  return [(-b - root) / (2 * a), (-b + root) / (2 * a)].sort((x, y) => x - y);
+}
+
+// Whether a claimed root solves f(x) = 0: exactly, or for a rounded answer
+// somewhere within its rounding
+function satisfies(f, { value, tolerance }) {
+  const y = f(value);
+  if (Math.abs(y) <= 1e-9 * Math.max(1, Math.abs(value))) return true;
+  return tolerance > 0 && Math.sign(f(value - tolerance)) !== Math.sign(f(value + tolerance));
+}
+
+// A single number from the answer ("x = 893", "$\frac{1}{3}$", "≈ 3.33")
+// as { value, tolerance }, or null
+function parseClaimedValue(answer) {
+  const text = answer.replace(/^.*[=≈]/, '').replace(/^[*_\s]+|[*_\s.]+$/g, '');
+  try {
+    const value = compileExpression(text, null)({});
+    return Number.isFinite(value) ? { value, tolerance: getRoundingTolerance(text) } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// The values an answer gives a variable ("x = 2, x = 3", "x = 2 or 3",
+// "{2, 3}", "x = 1 ± √2") as [{ value, tolerance }]
+function parseClaimedRoots(answer, variable) {
+  const text = normalizeMath(answer.replace(/\\pm/g, '±').replace(/\\([{}])/g, '$1'))
+    .replace(new RegExp(`\\b${variable}\\s*(?:_?\\(?\\d\\)?)?\\s*[=≈]`, 'gi'), ',')
+    // A set of solutions: "(2, 3)" from "{2, 3}"
+    .replace(/^[\s,]*[([]([^()[\]]*)[)\]][\s.]*$/, '$1');
+  return text
+    .split(/,|;|\bor\b|\band\b/i)
+    .map(part => part.trim())
+    .filter(Boolean)
+    .flatMap(part => part.includes('±') ? [part.replace('±', '+'), part.replace('±', '-')] : [part])
+    .map(part => parseClaimedValue(part))
+    .filter(Boolean);
+}
+
+// Half a unit in the last decimal place given ("3.33" → 0.005); exact
+// answers get none
+function getRoundingTolerance(text) {
+  const decimals = text.match(/^-?\d*\.(\d+)$/);
+  return decimals ? 0.5 * 10 ** -decimals[1].length + 1e-12 : 0;
+}
+
+function closeEnough(a, b, tolerance = 0) {
+  return Math.abs(a - b) <= Math.max(tolerance, 1e-9 * Math.max(1, Math.abs(b)));
+}
+
+function formatNumber(value) {
+  if (Math.abs(value) < 1e-12) return '0';
+  return String(parseFloat(value.toPrecision(10)));
+}
+
+function formatRoots(variable, roots) {
+  return roots.length === 0
+    ? 'no real solutions'
+    : roots.map(root => `${variable} = ${formatNumber(root)}`).join(', ');
+}
+
+// Plain ASCII math from Unicode symbols and simple LaTeX
+function normalizeMath(text) {
+  let result = text
+    .replace(/\$/g, '')
+    .replace(/\\left|\\right|\\,|\\!/g, '')
+    .replace(/\\(?:cdot|times)/g, '*')
+    .replace(/\\div/g, '/')
+    .replace(/\\pi/g, 'pi')
+    .replace(/\\(sin|cos|tan|ln|log|exp)/g, '$1')
+    .replace(/[×·⋅]/g, '*')
+    .replace(/÷/g, '/')
+    .replace(/[−–]/g, '-')
+    .replace(/²/g, '^2')
+    .replace(/³/g, '^3')
+    .replace(/π/g, 'pi')
+    .replace(/√/g, 'sqrt')
+    .replace(/\*\*/g, '^')
+    .replace(/(\d),(?=\d{3}\b)/g, '$1');
+
+  // \frac{a}{b} and \sqrt{a}, innermost first
+  let previous;
+  do {
+    previous = result;
+    result = result
+      .replace(/\\d?frac\{([^{}]*)\}\{([^{}]*)\}/g, '(($1)/($2))')
+      .replace(/\\sqrt\{([^{}]*)\}/g, 'sqrt($1)');
+  } while (result !== previous);
+
+  return result.replace(/[{]/g, '(').replace(/[}]/g, ')');
+}
+
+// Tokens: { type: 'number' | 'name' | 'op', value }. Unknown multi-letter
+// names are split into letters ("xy" is x times y).
+function tokenizeMath(text) {
+  const source = normalizeMath(text);
+  const tokens = [];
+  const pattern = /\s*(?:(\d+\.?\d*|\.\d+)|([a-z]+)|([+\-*/^()]))/giy;
+  let match;
+  while (pattern.lastIndex < source.length) {
+    if (/^\s*$/.test(source.slice(pattern.lastIndex))) break;
+    match = pattern.exec(source);
+    if (!match) {
+      throw new Error(`Unexpected character in "${source}"`);
+    }
+    if (match[1]) {
+      tokens.push({ type: 'number', value: parseFloat(match[1]) });
+    } else if (match[2]) {
+      const name = match[2].toLowerCase();
+      if (VERIFIER_FUNCTIONS[name] || VERIFIER_CONSTANTS[name] !== undefined) {
+        tokens.push({ type: 'name', value: name });
+      } else {
+        name.split('').forEach(letter => tokens.push({ type: 'name', value: letter }));
+      }
+    } else {
+      tokens.push({ type: 'op', value: match[3] });
+    }
+  }
+  return tokens;
+}
+
+// Compile an expression in one variable (or none) to a function of
+// { [variable]: value }. Supports + - * / ^, implicit multiplication,
+// parentheses, the VERIFIER_FUNCTIONS and pi/e. Throws on anything else.
+function compileExpression(text, variable) {
+  const tokens = tokenizeMath(text);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) throw new Error(`Expected "${value}"`);
+    position++;
+  };
+
+  const parseSum = () => {
+    let node = parseProduct();
+    while (isOp('+') || isOp('-')) {
+      const op = tokens[position++].value;
+      const left = node;
+      const right = parseProduct();
+      node = op === '+' ? (vars) => left(vars) + right(vars) : (vars) => left(vars) - right(vars);
+    }
+    return node;
+  };
+
+  const parseProduct = () => {
+    let node = parseUnary();
+    while (true) {
+      const token = peek();
+      if (isOp('*') || isOp('/')) {
+        const op = tokens[position++].value;
+        const left = node;
+        const right = parseUnary();
+        node = op === '*' ? (vars) => left(vars) * right(vars) : (vars) => left(vars) / right(vars);
+      } else if (token && (token.type !== 'op' || token.value === '(')) {
+        // Implicit multiplication: 2x, 3(x + 1), (x + 1)(x - 1)
+        const left = node;
+        const right = parseUnary();
+        node = (vars) => left(vars) * right(vars);
+      } else {
+        return node;
+      }
+    }
+  };
+
+  const parseUnary = () => {
+    if (isOp('-')) {
+      position++;
+      const operand = parseUnary();
+      return (vars) => -operand(vars);
+    }
+    if (isOp('+')) {
+      position++;
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (!isOp('^')) return base;
+    position++;
+    const exponent = parseUnary();
+    return (vars) => Math.pow(base(vars), exponent(vars));
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[position++];
+    if (!token) throw new Error('Unexpected end of expression');
+
+    if (token.type === 'number') {
+      return () => token.value;
+    }
+    if (token.type === 'op' && token.value === '(') {
+      const inner = parseSum();
+      expect(')');
+      return inner;
+    }
+    if (token.type === 'name') {
+      const fn = VERIFIER_FUNCTIONS[token.value];
+      if (fn) {
+        // sin(x), or sin x / sqrt2 without parentheses
+        const argument = isOp('(') ? parsePrimary() : parsePower();
+        return (vars) => fn(argument(vars));
+      }
+      if (token.value === variable) {
+        return (vars) => vars[variable];
+      }
+      if (VERIFIER_CONSTANTS[token.value] !== undefined) {
+        return () => VERIFIER_CONSTANTS[token.value];
+      }
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+
+  if (tokens.length === 0) throw new Error('Empty expression');
+  const root = parseSum();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].value}"`);
+  }
+  return root;
+}